@@ -3,265 +3,576 @@
  * FastyTranscript CLI — standalone YouTube transcript fetcher.
  *
  * Usage:
- *   node cli.mjs <youtube-url-or-id> [--timestamps] [--json]
+ *   node cli.mjs <youtube-url-or-id> [options]
+ *   node cli.mjs <youtube-url-or-id> --list-langs [--json]
+ *   node cli.mjs --batch <urls.txt | -> [--out-dir <dir>] [--concurrency <n>] [options]
+ *   node cli.mjs <playlist-or-channel-url> [--limit <n>] [--after <date>] [--before <date>] [--out-dir <dir>] [options]
+ *   node cli.mjs <url | --batch <file>> --out <vault> [--filename <template>] [--template <file>] [options]
+ *   node cli.mjs cache list|clear|prune [--json]
  *
- * Output: Markdown transcript to stdout (or JSON with --json).
- * Exit codes: 0 = success, 1 = no captions available, 2 = invalid input.
+ * Output: transcript to stdout, as Markdown unless --format says otherwise.
+ * --format md|txt|srt|vtt|json|jsonl picks the output format; --json is shorthand for --format json.
+ * --timestamps prefixes md/txt lines with [MM:SS].
+ * --reflow rebuilds sentences and paragraphs in md/txt output.
+ * --no-chapters keeps md/txt as one block instead of one section per video chapter.
+ * --lang sets the caption language priority (default: en).
+ * --captions ranks manual vs auto-generated tracks: prefer-manual (default), prefer-asr, manual-only.
+ * --translate-to has YouTube machine-translate the chosen track (fails if the video doesn't offer that language).
+ * --caption-format asks YouTube for srv1, srv2, srv3, json3 or vtt captions instead of the track's default.
+ * --list-langs prints every caption track the video exposes instead of a transcript.
+ * --strategy picks and orders the fetch strategies (default android,page,yt-dlp); --plugin loads a
+ * module whose default export is a strategy (or an array of them) and registers it first.
+ * --hedge <ms> starts the next strategy after that delay instead of waiting for a failure; the
+ * first transcript wins and the others are aborted.
+ * --timeout, --retries and --backoff tune every YouTube request: a per-request timeout, and retries
+ * of 429/5xx responses and network errors with jittered exponential backoff (Retry-After wins).
+ * --yt-dlp sets the yt-dlp executable and --yt-dlp-args adds arguments to every yt-dlp run;
+ * --verbose passes yt-dlp's stderr through.
+ * --proxy (http://, https://, socks5://) and --cookies (a Netscape cookies.txt) apply to every
+ * YouTube request and are passed on to yt-dlp.
+ * --batch reads one URL or ID per line from a file (or stdin with "-") and writes one file per
+ * video into --out-dir, fetching --concurrency videos at a time, then prints a summary table.
+ * Playlist and channel URLs (as the argument or in a --batch list) expand to their videos and run
+ * as a batch; --limit caps each list and --after/--before filter by upload date.
+ * --out saves each transcript as a Markdown note in a notes vault instead: --filename and --template
+ * (a file) fill {title}, {channel}, {date}, {videoId}, {url} and {transcript}; notes start with YAML
+ * front matter unless --no-front-matter; --on-collision suffix|overwrite|skip decides what happens
+ * to an existing note; --by-channel files notes under one subfolder per channel.
+ * Fetched transcripts are cached on disk for --cache-ttl days (default 7) and replayed when YouTube
+ * can't be reached; --refresh refetches, --no-cache bypasses the cache entirely.
+ * Exit codes: 0 = success, 1 = other failure (in batch mode: any video failed), 2 = invalid input
+ * or an unwritable output folder, 3 = no captions (or no translation), 4 = video unavailable or
+ * private, 5 = age-restricted, 6 = rate limited, 7 = network error. With --json a failure prints
+ * {videoId, code, message, errors} to stdout, `errors` giving each strategy's code and message.
  */
 
-import { execSync } from "child_process";
-
-const WEB_UA =
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
-const ANDROID_UA = "com.google.android.youtube/19.09.37 (Linux; U; Android 12; en_US) gzip";
-
-function extractVideoId(url) {
-  const patterns = [
-    /(?:https?:\/\/)?(?:www\.)?youtu\.be\/([a-zA-Z0-9_-]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/watch\?v=([a-zA-Z0-9_-]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/embed\/([a-zA-Z0-9_-]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/shorts\/([a-zA-Z0-9_-]+)/,
-    /^([a-zA-Z0-9_-]{11})$/,
-  ];
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match && match[1]) return match[1];
-  }
-  return null;
-}
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { join, resolve } from "path";
+import { text } from "stream/consumers";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+import {
+  CAPTION_FORMATS,
+  DEFAULT_STRATEGIES,
+  extractVideoId,
+  fetchTranscript,
+  listCaptionTracks,
+  listStrategies,
+  parseLanguageList,
+  registerStrategy,
+  TRACK_POLICIES,
+} from "./lib/transcript.mjs";
+import { OUTPUT_FORMATS, renderTranscript } from "./lib/formats.mjs";
+import {
+  batchFilename,
+  expandBatchEntries,
+  formatBatchSummary,
+  mapWithConcurrency,
+  parseBatchInput,
+} from "./lib/batch.mjs";
+import { extractListSource, fetchListVideos } from "./lib/playlists.mjs";
+import { DEFAULT_HTTP_OPTIONS, setHttpDefaults } from "./lib/http.mjs";
+import { loadCookieFile } from "./lib/cookies.mjs";
+import { parseProxyUrl } from "./lib/proxy.mjs";
+import { DEFAULT_YTDLP_OPTIONS, setYtDlpDefaults, splitArgs } from "./lib/ytdlp.mjs";
+import { AllStrategiesFailedError, errorCode, exitCodeFor } from "./lib/errors.mjs";
+import {
+  clearCache,
+  DEFAULT_CACHE_TTL_DAYS,
+  defaultCacheDir,
+  fetchTranscriptCached,
+  listCacheEntries,
+  pruneCache,
+} from "./lib/cache.mjs";
+import { COLLISION_MODES, DEFAULT_FILENAME_TEMPLATE, saveNote } from "./lib/vault.mjs";
+
+const USAGE = `Usage: node cli.mjs <youtube-url-or-id> [options]
+       node cli.mjs --batch <urls.txt | -> [--out-dir <dir>] [options]
+       node cli.mjs <playlist-or-channel-url> [--limit <n>] [--out-dir <dir>] [options]
+       node cli.mjs <url | --batch <file>> --out <vault> [--filename <template>] [options]
+       node cli.mjs cache list|clear|prune [--json]
+
+Options:
+  --format <fmt>        ${OUTPUT_FORMATS.join("|")} (default md)
+  --json                Same as --format json
+  --timestamps          Prefix md/txt lines with [MM:SS]
+  --reflow              Rebuild sentences and paragraphs (md/txt)
+  --no-chapters         Don't split md/txt into chapter sections
+  --lang <list>         Caption language priority, e.g. es,de,en (default en)
+  --captions <policy>   ${TRACK_POLICIES.join("|")}
+  --translate-to <lang> Machine-translate captions via YouTube
+  --caption-format <f>  Caption format to request: ${CAPTION_FORMATS.join("|")}
+  --strategy <list>     Fetch strategies to try, in order (default ${DEFAULT_STRATEGIES.join(",")})
+  --plugin <module>     Register the strategies a module default-exports (repeatable)
+  --hedge <ms>          Start the next strategy after this delay instead of on failure
+  --timeout <ms>        Per-request timeout (default ${DEFAULT_HTTP_OPTIONS.timeoutMs})
+  --retries <n>         Retries on 429/5xx and network errors (default ${DEFAULT_HTTP_OPTIONS.retries})
+  --backoff <ms>        Base retry delay, doubled each attempt (default ${DEFAULT_HTTP_OPTIONS.backoffMs})
+  --proxy <url>         HTTP(S) or SOCKS5 proxy for all requests, e.g. socks5://127.0.0.1:1080
+  --cookies <file>      Netscape cookies.txt to send with all requests (and to yt-dlp)
+  --yt-dlp <path>       yt-dlp executable (default ${DEFAULT_YTDLP_OPTIONS.path})
+  --yt-dlp-args <args>  Extra arguments for every yt-dlp run, e.g. "--cookies-from-browser firefox"
+  --verbose             Show yt-dlp's stderr
+  --list-langs          List available caption tracks instead of fetching
+  --batch <file>        Fetch every URL in a file, one per line ("-" reads stdin)
+  --out-dir <dir>       Where --batch writes its files (default .)
+  --concurrency <n>     Videos --batch fetches at once (default 3)
+  --limit <n>           Videos to take from each playlist or channel
+  --after <YYYY-MM-DD>  Only playlist/channel videos uploaded on or after this date
+  --before <YYYY-MM-DD> Only playlist/channel videos uploaded on or before this date
+  --out <dir>           Save Markdown notes into this vault folder instead of printing
+  --filename <template> Note filename (default ${DEFAULT_FILENAME_TEMPLATE}), from {title} {channel} {date} {videoId}
+  --template <file>     Note body template; {transcript} and {url} are filled in too
+  --no-front-matter     Don't start notes with YAML front matter
+  --on-collision <mode> ${COLLISION_MODES.join("|")} when a note already exists (default suffix)
+  --by-channel          Put notes in one subfolder per channel
+  --refresh             Refetch even if the transcript is cached
+  --no-cache            Neither read nor write the cache
+  --cache-ttl <days>    Serve cached transcripts younger than this (default ${DEFAULT_CACHE_TTL_DAYS})
+  --cache-dir <dir>     Cache location (default ${defaultCacheDir()})`;
 
-function decodeHtmlEntities(text) {
-  return text
-    .replace(/&#39;/g, "'")
-    .replace(/&quot;/g, '"')
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&nbsp;/g, " ")
-    .replace(/&#(\d+);/g, (_, num) => String.fromCharCode(parseInt(num)))
-    .replace(/\s+/g, " ");
+const CACHE_COMMANDS = ["list", "clear", "prune"];
+
+// --- Main ---
+
+let parsed;
+try {
+  parsed = parseArgs({
+    options: {
+      timestamps: { type: "boolean" },
+      reflow: { type: "boolean" },
+      "no-chapters": { type: "boolean" },
+      json: { type: "boolean" },
+      format: { type: "string", default: "md" },
+      lang: { type: "string" },
+      captions: { type: "string", default: "prefer-manual" },
+      "translate-to": { type: "string" },
+      "caption-format": { type: "string" },
+      strategy: { type: "string" },
+      plugin: { type: "string", multiple: true },
+      hedge: { type: "string" },
+      timeout: { type: "string" },
+      retries: { type: "string" },
+      backoff: { type: "string" },
+      proxy: { type: "string" },
+      cookies: { type: "string" },
+      "yt-dlp": { type: "string" },
+      "yt-dlp-args": { type: "string" },
+      verbose: { type: "boolean" },
+      "list-langs": { type: "boolean" },
+      batch: { type: "string" },
+      "out-dir": { type: "string", default: "." },
+      concurrency: { type: "string", default: "3" },
+      limit: { type: "string" },
+      after: { type: "string" },
+      before: { type: "string" },
+      out: { type: "string" },
+      filename: { type: "string", default: DEFAULT_FILENAME_TEMPLATE },
+      template: { type: "string" },
+      "no-front-matter": { type: "boolean" },
+      "on-collision": { type: "string", default: "suffix" },
+      "by-channel": { type: "boolean" },
+      refresh: { type: "boolean" },
+      "no-cache": { type: "boolean" },
+      "cache-ttl": { type: "string", default: String(DEFAULT_CACHE_TTL_DAYS) },
+      "cache-dir": { type: "string" },
+    },
+    allowPositionals: true,
+  });
+} catch (e) {
+  console.error(`${e instanceof Error ? e.message : String(e)}\n${USAGE}`);
+  process.exit(2);
 }
 
-function parseTranscriptXml(xml) {
-  const srv1Re = /<text\s+start="([^"]*)"(?:\s+dur="([^"]*)")?[^>]*>([^<]*)<\/text>/g;
-  const segments = [];
-  let m;
-  while ((m = srv1Re.exec(xml)) !== null) {
-    if (m[3].trim()) {
-      segments.push({ text: m[3], start: parseFloat(m[1]) || 0, duration: parseFloat(m[2]) || 0 });
-    }
-  }
-  if (segments.length > 0) return segments;
-
-  const pRe = /<p\s+t="([^"]*)"(?:\s+d="([^"]*)")?[^>]*>([\s\S]*?)<\/p>/g;
-  const srv3Segments = [];
-  while ((m = pRe.exec(xml)) !== null) {
-    const startMs = parseInt(m[1]) || 0;
-    const durMs = parseInt(m[2]) || 0;
-    const inner = m[3];
-    const words = [];
-    const sRe = /<s[^>]*>([^<]*)<\/s>/g;
-    let s;
-    while ((s = sRe.exec(inner)) !== null) {
-      if (s[1]) words.push(s[1]);
-    }
-    const text = words.length > 0 ? words.join("") : inner.replace(/<[^>]+>/g, "").trim();
-    if (text) srv3Segments.push({ text, start: startMs / 1000, duration: durMs / 1000 });
+const { values, positionals: positional } = parsed;
+
+for (const plugin of values.plugin || []) {
+  try {
+    const mod = await import(pathToFileURL(resolve(plugin)).href);
+    for (const strategy of [mod.default || []].flat()) registerStrategy(strategy);
+  } catch (e) {
+    console.error(`Cannot load --plugin ${plugin}: ${e instanceof Error ? e.message : String(e)}`);
+    process.exit(2);
   }
-  return srv3Segments;
 }
+const timestamps = values.timestamps === true;
+const reflow = values.reflow === true;
+const chapters = values["no-chapters"] !== true;
+const jsonOutput = values.json === true;
+const format = jsonOutput ? "json" : values.format;
+const languages = parseLanguageList(values.lang);
+const trackPolicy = values.captions;
+const translateTo = values["translate-to"];
+const captionFormat = values["caption-format"];
+const batchInput = values.batch;
+const outDir = values["out-dir"];
+const concurrency = Number(values.concurrency);
+const limit = values.limit === undefined ? undefined : Number(values.limit);
+const { after, before } = values;
+const vaultDir = values.out;
+const collision = values["on-collision"];
+const useCache = values["no-cache"] !== true;
+const refresh = values.refresh === true;
+const cacheTtlDays = Number(values["cache-ttl"]);
+const cacheDir = values["cache-dir"] || defaultCacheDir();
+const strategies = values.strategy
+  ?.split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const hedgeDelayMs = values.hedge === undefined ? undefined : Number(values.hedge);
+const fetchOptions = { languages, trackPolicy, translateTo, captionFormat, strategies, hedgeDelayMs };
+setYtDlpDefaults({
+  path: values["yt-dlp"] || undefined,
+  extraArgs: values["yt-dlp-args"] === undefined ? undefined : splitArgs(values["yt-dlp-args"]),
+  onStderr: values.verbose ? (line) => console.error(`yt-dlp: ${line}`) : undefined,
+});
+const cacheCommand = positional[0] === "cache" && batchInput === undefined ? positional[1] || "" : undefined;
 
-function extractJsonObject(str, startIdx) {
-  if (str[startIdx] !== "{") return null;
-  let depth = 0;
-  for (let i = startIdx; i < str.length; i++) {
-    if (str[i] === "{") depth++;
-    else if (str[i] === "}") depth--;
-    if (depth === 0) return str.substring(startIdx, i + 1);
-  }
-  return null;
+if (!OUTPUT_FORMATS.includes(format)) {
+  console.error(`Invalid --format: ${format} (expected ${OUTPUT_FORMATS.join(", ")})`);
+  process.exit(2);
 }
 
-function pickTrackUrl(tracks) {
-  const en = tracks.find((t) => t.languageCode === "en" || t.languageCode.startsWith("en"));
-  return (en || tracks[0]).baseUrl;
+if (captionFormat !== undefined && !CAPTION_FORMATS.includes(captionFormat)) {
+  console.error(`Invalid --caption-format: ${captionFormat} (expected ${CAPTION_FORMATS.join(", ")})`);
+  process.exit(2);
 }
 
-async function fetchCaptionTrack(url, ua = WEB_UA) {
-  const response = await fetch(url, { headers: { "User-Agent": ua } });
-  if (!response.ok) throw new Error(`Caption track returned ${response.status}`);
-  const xml = await response.text();
-  if (!xml || xml.length === 0) throw new Error("Caption track returned empty response");
-  const segments = parseTranscriptXml(xml);
-  if (segments.length === 0) throw new Error("Could not parse caption XML");
-  return segments;
+if (!TRACK_POLICIES.includes(trackPolicy)) {
+  console.error(`Invalid --captions policy: ${trackPolicy} (expected ${TRACK_POLICIES.join(", ")})`);
+  process.exit(2);
 }
 
-async function fetchTranscriptFromAndroid(videoId) {
-  const response = await fetch("https://www.youtube.com/youtubei/v1/player?prettyPrint=false", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "User-Agent": ANDROID_UA },
-    body: JSON.stringify({
-      context: {
-        client: { clientName: "ANDROID", clientVersion: "19.09.37", androidSdkVersion: 31, hl: "en", gl: "US", userAgent: ANDROID_UA },
-      },
-      videoId,
-      contentCheckOk: true,
-      racyCheckOk: true,
-    }),
-  });
-  if (!response.ok) throw new Error(`ANDROID API returned ${response.status}`);
-  const data = await response.json();
-  const tracks = data?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-  if (!tracks || tracks.length === 0) throw new Error("ANDROID: no caption tracks");
-  return await fetchCaptionTrack(pickTrackUrl(tracks), ANDROID_UA);
+const unknownStrategy = strategies?.find((s) => !listStrategies().includes(s));
+if (unknownStrategy || strategies?.length === 0) {
+  console.error(`Invalid --strategy: ${values.strategy} (available: ${listStrategies().join(", ")})`);
+  process.exit(2);
 }
 
-async function fetchTranscriptFromPage(videoId) {
-  const response = await fetch(`https://www.youtube.com/watch?v=${videoId}`, {
-    headers: { "User-Agent": WEB_UA, "Accept-Language": "en-US,en;q=0.9" },
-  });
-  if (!response.ok) throw new Error(`YouTube page returned ${response.status}`);
-  const html = await response.text();
-  if (html.includes('class="g-recaptcha"')) throw new Error("Rate limited (captcha)");
-
-  const marker = html.match(/ytInitialPlayerResponse\s*=\s*\{/);
-  if (marker && marker.index !== undefined) {
-    const braceStart = html.indexOf("{", marker.index);
-    const jsonStr = extractJsonObject(html, braceStart);
-    if (jsonStr) {
-      try {
-        const pr = JSON.parse(jsonStr);
-        const tracks = pr?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-        if (tracks && tracks.length > 0) return await fetchCaptionTrack(pickTrackUrl(tracks));
-      } catch {}
-    }
-  }
+if (hedgeDelayMs !== undefined && (!Number.isFinite(hedgeDelayMs) || hedgeDelayMs < 0)) {
+  console.error(`Invalid --hedge: ${values.hedge} (expected a delay in milliseconds)`);
+  process.exit(2);
+}
 
-  const parts = html.split('"captions":');
-  if (parts.length > 1) {
-    const braceIdx = parts[1].indexOf("{");
-    if (braceIdx !== -1) {
-      const captionsJson = extractJsonObject(parts[1], braceIdx);
-      if (captionsJson) {
-        try {
-          const obj = JSON.parse(captionsJson);
-          const tracks = obj?.playerCaptionsTracklistRenderer?.captionTracks;
-          if (tracks && tracks.length > 0) return await fetchCaptionTrack(pickTrackUrl(tracks));
-        } catch {}
-      }
-    }
+/** @type {Array<[string, "timeoutMs" | "retries" | "backoffMs", (n: number) => boolean]>} */
+const httpFlags = [
+  ["timeout", "timeoutMs", (n) => Number.isFinite(n) && n > 0],
+  ["retries", "retries", (n) => Number.isInteger(n) && n >= 0],
+  ["backoff", "backoffMs", (n) => Number.isFinite(n) && n >= 0],
+];
+for (const [flag, option, valid] of httpFlags) {
+  const raw = values[flag];
+  if (raw === undefined) continue;
+  if (!valid(Number(raw))) {
+    console.error(`Invalid --${flag}: ${raw}`);
+    process.exit(2);
   }
-
-  if (!html.includes('"playabilityStatus":')) throw new Error("Video is unavailable");
-  throw new Error("Could not extract captions from page");
+  setHttpDefaults({ [option]: Number(raw) });
 }
 
-function fetchTranscriptFromYtDlp(videoId) {
-  // SECURITY: videoId is already validated by extractVideoId (alphanumeric + hyphen/underscore only)
-  const result = execSync(
-    `yt-dlp --skip-download --dump-json -- "https://www.youtube.com/watch?v=${videoId}" 2>/dev/null`,
-    { timeout: 45000, encoding: "utf-8", maxBuffer: 10 * 1024 * 1024 },
-  );
-  const info = JSON.parse(result);
-  const subs = info.subtitles || {};
-  const autoCaps = info.automatic_captions || {};
-  const subSource = subs["en"] || subs["en-US"] || Object.values(subs)[0] || autoCaps["en"] || autoCaps["en-US"] || Object.values(autoCaps)[0];
-  if (!subSource || subSource.length === 0) throw new Error("yt-dlp: no subtitle sources found");
-  const track = subSource.find((s) => s.ext === "srv1") || subSource.find((s) => s.ext === "srv3") || subSource.find((s) => s.ext === "vtt") || subSource[0];
-  if (!track?.url) throw new Error("yt-dlp: no subtitle track URL");
-  // SECURITY: Use -- to prevent URL from being interpreted as flags
-  const subResp = execSync(`curl -sL -- "${track.url}"`, { timeout: 15000, encoding: "utf-8", maxBuffer: 10 * 1024 * 1024 });
-  if (!subResp || subResp.trim().length === 0) throw new Error("yt-dlp: subtitle URL returned empty");
-  const segments = parseTranscriptXml(subResp);
-  if (segments.length > 0) return segments;
-  throw new Error("yt-dlp: could not parse subtitle content");
+/** @type {string | undefined} */
+let proxy;
+if (values.proxy !== undefined) {
+  try {
+    proxy = parseProxyUrl(values.proxy).href.replace(/\/$/, "");
+  } catch (e) {
+    console.error(`Invalid --proxy: ${e instanceof Error ? e.message : String(e)}`);
+    process.exit(2);
+  }
 }
-
-async function fetchVideoTitle(videoId) {
+const cookiesFile = values.cookies === undefined ? undefined : resolve(values.cookies);
+let cookies;
+if (cookiesFile !== undefined) {
   try {
-    const response = await fetch(`https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`);
-    if (response.ok) {
-      const data = await response.json();
-      return data.title || `YouTube Video ${videoId}`;
-    }
-  } catch {}
-  return `YouTube Video ${videoId}`;
+    cookies = await loadCookieFile(cookiesFile);
+  } catch (e) {
+    console.error(`Cannot read --cookies: ${e instanceof Error ? e.message : String(e)}`);
+    process.exit(2);
+  }
 }
+setHttpDefaults({ proxy, cookies });
+setYtDlpDefaults({ proxy, cookiesFile });
 
-function formatTimestamp(seconds) {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${String(mins).padStart(2, "0")}:${String(secs).padStart(2, "0")}`;
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+  console.error(`Invalid --concurrency: ${values.concurrency} (expected a positive integer)`);
+  process.exit(2);
 }
 
-// --- Main ---
+if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+  console.error(`Invalid --limit: ${values.limit} (expected a positive integer)`);
+  process.exit(2);
+}
 
-const args = process.argv.slice(2);
-const flags = args.filter((a) => a.startsWith("--"));
-const positional = args.filter((a) => !a.startsWith("--"));
-const timestamps = flags.includes("--timestamps");
-const jsonOutput = flags.includes("--json");
+for (const [flag, date] of [
+  ["--after", after],
+  ["--before", before],
+]) {
+  if (date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+    console.error(`Invalid ${flag}: ${date} (expected YYYY-MM-DD)`);
+    process.exit(2);
+  }
+}
 
-if (positional.length === 0) {
-  console.error("Usage: node cli.mjs <youtube-url-or-id> [--timestamps] [--json]");
+if (!COLLISION_MODES.includes(collision)) {
+  console.error(`Invalid --on-collision: ${collision} (expected ${COLLISION_MODES.join(", ")})`);
   process.exit(2);
 }
 
-const videoId = extractVideoId(positional[0]);
-if (!videoId) {
-  console.error(`Invalid YouTube URL or ID: ${positional[0]}`);
+/** @type {string | undefined} */
+let template;
+if (values.template !== undefined) {
+  try {
+    template = await readFile(values.template, "utf-8");
+  } catch (e) {
+    console.error(`Cannot read --template: ${e instanceof Error ? e.message : String(e)}`);
+    process.exit(2);
+  }
+}
+/** @type {import("./lib/vault.mjs").NoteOptions} */
+const noteOptions = {
+  filenameTemplate: values.filename,
+  template,
+  frontMatter: values["no-front-matter"] !== true,
+  collision,
+  byChannel: values["by-channel"] === true,
+  timestamps,
+  reflow,
+  chapters,
+};
+
+if (!Number.isFinite(cacheTtlDays) || cacheTtlDays < 0) {
+  console.error(`Invalid --cache-ttl: ${values["cache-ttl"]} (expected a number of days)`);
   process.exit(2);
 }
 
-const errors = [];
+let videoId = "";
+/** @type {import("./lib/playlists.mjs").ListSource | null} */
+let listSource = null;
+if (cacheCommand !== undefined) {
+  if (!CACHE_COMMANDS.includes(cacheCommand)) {
+    console.error(`Unknown cache command: ${cacheCommand || "(none)"} (expected ${CACHE_COMMANDS.join(", ")})`);
+    process.exit(2);
+  }
+} else if (batchInput !== undefined) {
+  if (positional.length > 0 || values["list-langs"]) {
+    console.error(
+      `--batch reads URLs from its list and can't be combined with a URL argument or --list-langs\n${USAGE}`,
+    );
+    process.exit(2);
+  }
+} else {
+  if (positional.length === 0) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  videoId = extractVideoId(positional[0]) || "";
+  listSource = videoId ? null : extractListSource(positional[0]);
+  if (!videoId && !listSource) {
+    console.error(`Invalid YouTube URL or ID: ${positional[0]}`);
+    process.exit(2);
+  }
+  if (listSource && values["list-langs"]) {
+    console.error("--list-langs takes a single video, not a playlist or channel");
+    process.exit(2);
+  }
+}
+
+/**
+ * @param {import("./lib/transcript.mjs").TranscriptResult} result
+ * @returns {string}
+ */
+function render(result) {
+  return renderTranscript(result, format, {
+    timestamps,
+    reflow,
+    chapters,
+    includeMethod: true,
+    generator: "FastyTranscript CLI",
+  });
+}
+
+/**
+ * Fetch through the cache unless --no-cache; a stale replay is announced on stderr.
+ * @param {string} id
+ * @returns {Promise<import("./lib/transcript.mjs").TranscriptResult>}
+ */
+async function getTranscript(id) {
+  if (!useCache) return fetchTranscript(id, fetchOptions);
+  const { result, source, fetchedAt } = await fetchTranscriptCached(id, fetchOptions, {
+    dir: cacheDir,
+    ttlDays: cacheTtlDays,
+    refresh,
+  });
+  if (source === "stale") console.error(`${id}: fetch failed, using the cached transcript from ${fetchedAt}`);
+  return result;
+}
 
 async function main() {
-  const titlePromise = fetchVideoTitle(videoId);
+  if (cacheCommand !== undefined) {
+    await runCacheCommand(cacheCommand);
+    return;
+  }
+  if (batchInput !== undefined) {
+    await runBatch(await readBatchList(batchInput));
+    return;
+  }
+  if (listSource) {
+    await runBatch([{ input: positional[0], videoId: null, list: listSource }]);
+    return;
+  }
+  if (values["list-langs"]) {
+    await listLanguages();
+    return;
+  }
 
-  // Strategy 1: ANDROID InnerTube
+  let result;
   try {
-    const segments = await fetchTranscriptFromAndroid(videoId);
-    const title = await titlePromise;
-    output(segments, title, "android");
+    result = await getTranscript(videoId);
+  } catch (e) {
+    fail(e);
+  }
+  if (vaultDir === undefined) {
+    console.log(render(result));
     return;
+  }
+  let saved;
+  try {
+    saved = await saveNote(vaultDir, result, noteOptions);
   } catch (e) {
-    errors.push(`ANDROID: ${e.message}`);
+    console.error(`Cannot write note to ${vaultDir}: ${e instanceof Error ? e.message : String(e)}`);
+    process.exit(2);
+  }
+  const { file, status } = saved;
+  if (status === "skipped") console.error(`${file} already exists, skipped`);
+  else console.log(file);
+}
+
+/**
+ * Report a failed fetch (as JSON on stdout when JSON output was asked for) and exit with its
+ * error class's code.
+ * @param {unknown} error
+ * @returns {never}
+ */
+function fail(error) {
+  const message = error instanceof Error ? error.message : String(error);
+  if (format === "json") {
+    const errors = error instanceof AllStrategiesFailedError ? error.failures : [];
+    console.log(JSON.stringify({ videoId, code: errorCode(error), message, errors }, null, 2));
+  } else {
+    console.error(message);
   }
+  process.exit(exitCodeFor(error));
+}
 
-  // Strategy 2: Page scraping
+/**
+ * @param {string} listPath - File with one URL or ID per line, or "-" for stdin
+ * @returns {Promise<import("./lib/batch.mjs").BatchEntry[]>}
+ */
+async function readBatchList(listPath) {
+  let list;
   try {
-    const segments = await fetchTranscriptFromPage(videoId);
-    const title = await titlePromise;
-    output(segments, title, "page");
-    return;
+    list = listPath === "-" ? await text(process.stdin) : await readFile(listPath, "utf-8");
   } catch (e) {
-    errors.push(`Page: ${e.message}`);
+    console.error(`Cannot read --batch list: ${e instanceof Error ? e.message : String(e)}`);
+    process.exit(2);
   }
+  const entries = parseBatchInput(list);
+  if (entries.length === 0) {
+    console.error("--batch list contains no URLs");
+    process.exit(2);
+  }
+  return entries;
+}
 
-  // Strategy 3: yt-dlp
-  try {
-    const segments = fetchTranscriptFromYtDlp(videoId);
-    const title = await titlePromise;
-    output(segments, title, "yt-dlp");
+/**
+ * Fetch every entry (expanding playlists and channels first) into --out-dir, or as notes into
+ * the --out vault, and print the summary.
+ * @param {import("./lib/batch.mjs").BatchEntry[]} listed
+ */
+async function runBatch(listed) {
+  const entries = await expandBatchEntries(listed, (list) => fetchListVideos(list, { limit, after, before }));
+  if (vaultDir === undefined) {
+    try {
+      await mkdir(outDir, { recursive: true });
+    } catch (e) {
+      console.error(`Cannot create --out-dir ${outDir}: ${e instanceof Error ? e.message : String(e)}`);
+      process.exit(2);
+    }
+  }
+  /** @type {Set<string>} */
+  const taken = new Set();
+  const outcomes = await mapWithConcurrency(entries, concurrency, async ({ input, videoId, error }) => {
+    if (error) return { input, videoId, error };
+    if (!videoId) return { input, videoId, error: `Invalid YouTube URL or ID: ${input}` };
+    try {
+      const result = await getTranscript(videoId);
+      if (vaultDir !== undefined) {
+        const { file, status } = await saveNote(vaultDir, result, noteOptions);
+        return { input, videoId, file, skipped: status === "skipped" };
+      }
+      const file = join(outDir, batchFilename(result.title, videoId, format, taken));
+      await writeFile(file, `${render(result)}\n`);
+      return { input, videoId, file };
+    } catch (e) {
+      return { input, videoId, error: e instanceof Error ? e.message : String(e) };
+    }
+  });
+
+  console.log(formatBatchSummary(outcomes));
+  if (outcomes.some((o) => o.error)) process.exit(1);
+}
+
+/**
+ * @param {string} command - One of CACHE_COMMANDS
+ */
+async function runCacheCommand(command) {
+  if (command === "clear") {
+    console.log(`Removed ${await clearCache(cacheDir)} cached transcripts from ${cacheDir}`);
+    return;
+  }
+  if (command === "prune") {
+    const removed = await pruneCache(cacheDir, cacheTtlDays);
+    console.log(`Removed ${removed} cached transcripts older than ${cacheTtlDays} days from ${cacheDir}`);
     return;
-  } catch (e) {
-    errors.push(`yt-dlp: ${e.message}`);
   }
 
-  console.error(`No transcript available. All methods failed:\n${errors.map((e) => `- ${e}`).join("\n")}`);
-  process.exit(1);
+  const entries = await listCacheEntries(cacheDir);
+  if (jsonOutput) {
+    console.log(JSON.stringify({ dir: cacheDir, entries }, null, 2));
+    return;
+  }
+  if (entries.length === 0) {
+    console.log(`No cached transcripts in ${cacheDir}`);
+    return;
+  }
+  const width = Math.max(...entries.map((e) => e.language.length));
+  for (const e of entries) {
+    const fetched = e.fetchedAt.slice(0, 16).replace("T", " ");
+    const kind = e.kind === "asr" ? "auto" : "manual";
+    console.log(`${fetched}  ${e.videoId}  ${e.language.padEnd(width)}  ${kind.padEnd(6)}  ${e.title}`);
+  }
 }
 
-function output(segments, title, method) {
+async function listLanguages() {
+  let tracks;
+  try {
+    tracks = await listCaptionTracks(videoId);
+  } catch (e) {
+    fail(e);
+  }
   if (jsonOutput) {
-    console.log(JSON.stringify({ videoId, title, method, segmentCount: segments.length, segments }, null, 2));
-  } else {
-    const text = timestamps
-      ? segments.map((s) => `[${formatTimestamp(s.start)}] ${decodeHtmlEntities(s.text).trim()}`).join("\n")
-      : decodeHtmlEntities(segments.map((s) => s.text).join(" ")).trim();
-    console.log(`# ${title}\n\n**URL:** https://youtube.com/watch?v=${videoId}\n**Method:** ${method}\n\n---\n\n${text}\n\n---\n\n*Generated by FastyTranscript CLI*`);
+    console.log(JSON.stringify({ videoId, tracks }, null, 2));
+    return;
+  }
+  // Code, kind and name in columns; YouTube's own ASR names already say "(auto-generated)"
+  const width = Math.max(...tracks.map((t) => t.languageCode.length));
+  for (const t of tracks) {
+    const kind = t.kind === "asr" ? "auto-generated" : "manual";
+    console.log(`${t.languageCode.padEnd(width)}  ${kind.padEnd("auto-generated".length)}  ${t.name}`);
   }
 }
 
-main();
+main().catch((e) => {
+  console.error(e instanceof Error ? e.message : String(e));
+  process.exit(1);
+});
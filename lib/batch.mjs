@@ -0,0 +1,145 @@
+/**
+ * FastyTranscript batch helpers — reading URL lists, expanding playlists and channels,
+ * bounded-concurrency fetching, output filenames and the end-of-run summary table.
+ */
+
+import { extractVideoId } from "./transcript.mjs";
+import { extractListSource } from "./playlists.mjs";
+import { sanitizeFilename } from "./parsers.mjs";
+
+/** @typedef {import("./playlists.mjs").ListSource} ListSource */
+/** @typedef {import("./playlists.mjs").ListEntry} ListEntry */
+
+/**
+ * One line of a batch input, resolved to a video ID when it is a valid URL or ID, or to a
+ * playlist/channel that still needs expanding. `error` records a failed expansion.
+ * @typedef {{ input: string, videoId: string | null, list?: ListSource, error?: string }} BatchEntry
+ */
+
+/**
+ * Outcome of one batch entry: the file written, or the error that stopped it.
+ * @typedef {object} BatchOutcome
+ * @property {string} input
+ * @property {string | null} videoId
+ * @property {string} [file] - Path written on success
+ * @property {boolean} [skipped] - `file` already existed and was left alone
+ * @property {string} [error] - Failure message; for fetch failures it lists every strategy's error
+ */
+
+/**
+ * Parse a batch list: one video, playlist or channel URL (or video ID) per line. Blank lines
+ * and `#` comments are skipped, and repeated videos are kept once.
+ * @param {string} text
+ * @returns {BatchEntry[]}
+ */
+export function parseBatchInput(text) {
+  /** @type {BatchEntry[]} */
+  const entries = [];
+  const seen = new Set();
+  for (const line of text.split("\n")) {
+    const input = line.trim();
+    if (!input || input.startsWith("#")) continue;
+    const videoId = extractVideoId(input);
+    if (videoId && seen.has(videoId)) continue;
+    if (videoId) seen.add(videoId);
+    const list = videoId ? null : extractListSource(input);
+    entries.push(list ? { input, videoId, list } : { input, videoId });
+  }
+  return entries;
+}
+
+/**
+ * Replace playlist and channel entries with their videos, skipping videos already listed.
+ * A list that fails to resolve stays as one entry carrying the error.
+ * @param {BatchEntry[]} entries
+ * @param {(list: ListSource) => Promise<ListEntry[]>} resolve
+ * @returns {Promise<BatchEntry[]>}
+ */
+export async function expandBatchEntries(entries, resolve) {
+  const seen = new Set(entries.map((e) => e.videoId).filter(Boolean));
+  /** @type {BatchEntry[]} */
+  const expanded = [];
+  for (const entry of entries) {
+    if (!entry.list) {
+      expanded.push(entry);
+      continue;
+    }
+    try {
+      for (const { videoId } of await resolve(entry.list)) {
+        if (seen.has(videoId)) continue;
+        seen.add(videoId);
+        expanded.push({ input: videoId, videoId });
+      }
+    } catch (e) {
+      expanded.push({ input: entry.input, videoId: null, error: e instanceof Error ? e.message : String(e) });
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Map over `items` with at most `limit` calls of `fn` in flight. Results keep input order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  /** @type {R[]} */
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Pick an output filename from the video title, falling back to the video ID when the title
+ * sanitizes to nothing. Names already in `taken` get the video ID appended; the chosen name
+ * is added to `taken`.
+ * @param {string} title
+ * @param {string} videoId
+ * @param {string} extension - Without the dot
+ * @param {Set<string>} taken
+ * @returns {string}
+ */
+export function batchFilename(title, videoId, extension, taken) {
+  const base = sanitizeFilename(title) || videoId;
+  const name = taken.has(`${base}.${extension}`) ? `${base}_${videoId}.${extension}` : `${base}.${extension}`;
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Summary table of a batch run: one row per entry, then each failure's error lines indented below it.
+ * @param {BatchOutcome[]} outcomes
+ * @returns {string}
+ */
+export function formatBatchSummary(outcomes) {
+  const rows = outcomes.map((o) => {
+    const [headline, ...details] = (o.error || "").split("\n");
+    const status = o.error ? "failed" : o.skipped ? "skipped" : "ok";
+    return { status, video: o.videoId || o.input, result: o.file || headline, details };
+  });
+  const statusWidth = Math.max(6, ...rows.map((r) => r.status.length));
+  const videoWidth = Math.max(5, ...rows.map((r) => r.video.length));
+  const line = (/** @type {string} */ status, /** @type {string} */ video, /** @type {string} */ result) =>
+    `${status.padEnd(statusWidth)}  ${video.padEnd(videoWidth)}  ${result}`;
+
+  const failed = outcomes.filter((o) => o.error).length;
+  return [
+    line("STATUS", "VIDEO", "FILE / ERROR"),
+    ...rows.flatMap((r) => [
+      line(r.status, r.video, r.result),
+      ...r.details.map((d) => `${" ".repeat(statusWidth + videoWidth + 4)}  ${d}`),
+    ]),
+    "",
+    `${outcomes.length - failed} succeeded, ${failed} failed`,
+  ].join("\n");
+}
@@ -0,0 +1,280 @@
+/**
+ * FastyTranscript transcript cache — fetched results (segments, chapters, metadata) stored as
+ * JSON files on disk, so re-rendering in another format or re-running a batch never refetches,
+ * and a stale copy can stand in when YouTube can't be reached.
+ */
+
+import { createHash } from "crypto";
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from "fs/promises";
+import { homedir } from "os";
+import { join } from "path";
+import { errorCode } from "./errors.mjs";
+import { DEFAULT_LANGUAGES, fetchTranscript } from "./transcript.mjs";
+
+/** @typedef {import("./transcript.mjs").TranscriptResult} TranscriptResult */
+/** @typedef {import("./transcript.mjs").FetchTranscriptOptions} FetchTranscriptOptions */
+
+/** Days a cached transcript is served without refetching. */
+export const DEFAULT_CACHE_TTL_DAYS = 7;
+
+// Version 2: `result.errors` became structured failures
+const ENTRY_VERSION = 2;
+
+/**
+ * @typedef {object} CacheKey
+ * @property {string} videoId
+ * @property {string[]} languages - Requested language priority, lowercased
+ * @property {string} trackPolicy - Requested manual/ASR policy
+ * @property {string | null} translateTo
+ * @property {string} [captionFormat] - Only present when a format was requested, so older keys stay valid
+ */
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {number} version
+ * @property {CacheKey} key
+ * @property {string} fetchedAt - ISO timestamp
+ * @property {TranscriptResult} result
+ */
+
+/**
+ * @typedef {object} CacheOptions
+ * @property {string} [dir] - Cache directory (default: defaultCacheDir())
+ * @property {number} [ttlDays] - Age after which an entry is refetched (default 7)
+ * @property {boolean} [refresh] - Skip the lookup but still store the fresh result
+ * @property {(videoId: string, options: FetchTranscriptOptions) => Promise<TranscriptResult>} [fetch] - Defaults to fetchTranscript
+ */
+
+/**
+ * Where a result came from: a fresh cache entry, the network, or an expired entry
+ * served because the network fetch failed.
+ * @typedef {"cache" | "network" | "stale"} CacheSource
+ */
+
+/**
+ * @typedef {object} CacheListing
+ * @property {string} file
+ * @property {string} videoId
+ * @property {string} title
+ * @property {string} language - Language of the cached track
+ * @property {string} kind - Kind of the cached track
+ * @property {string} fetchedAt
+ * @property {number} bytes
+ */
+
+/**
+ * `$FASTYTRANSCRIPT_CACHE_DIR`, else `$XDG_CACHE_HOME/fastytranscript`, else `~/.cache/fastytranscript`.
+ * @returns {string}
+ */
+export function defaultCacheDir() {
+  if (process.env.FASTYTRANSCRIPT_CACHE_DIR) return process.env.FASTYTRANSCRIPT_CACHE_DIR;
+  return join(process.env.XDG_CACHE_HOME || join(homedir(), ".cache"), "fastytranscript");
+}
+
+/**
+ * Normalize the request that produced a transcript. The chosen track's language and kind
+ * follow from these, so equal keys always select the same track.
+ * @param {string} videoId
+ * @param {FetchTranscriptOptions} [options]
+ * @returns {CacheKey}
+ */
+export function cacheKey(videoId, options = {}) {
+  const languages = (options.languages?.length ? options.languages : DEFAULT_LANGUAGES).map((l) => l.toLowerCase());
+  return {
+    videoId,
+    languages,
+    trackPolicy: options.trackPolicy || "prefer-manual",
+    translateTo: options.translateTo?.toLowerCase() || null,
+    ...(options.captionFormat && { captionFormat: options.captionFormat }),
+  };
+}
+
+/**
+ * Cache filename: the video ID (so listings stay readable) plus a hash of the full key.
+ * @param {CacheKey} key
+ * @returns {string}
+ */
+export function cacheFilename(key) {
+  const hash = createHash("sha256").update(JSON.stringify(key)).digest("hex").slice(0, 16);
+  return `${key.videoId}-${hash}.json`;
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<CacheEntry | null>} null when missing, unreadable, or from another cache version
+ */
+async function readEntry(file) {
+  try {
+    const entry = JSON.parse(await readFile(file, "utf-8"));
+    return entry?.version === ENTRY_VERSION && entry.result ? entry : null;
+  } catch {
+    // Missing or corrupt entries are misses
+    return null;
+  }
+}
+
+/**
+ * Look up a cached transcript regardless of age.
+ * @param {string} dir
+ * @param {string} videoId
+ * @param {FetchTranscriptOptions} [options]
+ * @returns {Promise<CacheEntry | null>}
+ */
+export async function readCacheEntry(dir, videoId, options = {}) {
+  return readEntry(join(dir, cacheFilename(cacheKey(videoId, options))));
+}
+
+/**
+ * Store a fetched transcript. Writes go through a temp file so readers never see half an entry.
+ * @param {string} dir
+ * @param {TranscriptResult} result
+ * @param {FetchTranscriptOptions} [options] - The options `result` was fetched with
+ * @param {Date} [now]
+ * @returns {Promise<string>} Path of the entry
+ */
+export async function writeCacheEntry(dir, result, options = {}, now = new Date()) {
+  const key = cacheKey(result.videoId, options);
+  /** @type {CacheEntry} */
+  const entry = { version: ENTRY_VERSION, key, fetchedAt: now.toISOString(), result };
+  const file = join(dir, cacheFilename(key));
+  await mkdir(dir, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(entry));
+  await rename(tmp, file);
+  return file;
+}
+
+/**
+ * @param {CacheEntry} entry
+ * @param {number} ttlDays
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isFresh(entry, ttlDays, now) {
+  return now.getTime() - Date.parse(entry.fetchedAt) < ttlDays * 86400000;
+}
+
+/**
+ * Whether a fetch failed because YouTube couldn't be reached or turned us away, rather than
+ * answering (a removed video, no captions, …).
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isUnreachable(error) {
+  const code = errorCode(error);
+  return code === "NETWORK" || code === "RATE_LIMITED";
+}
+
+/**
+ * fetchTranscript through the cache: serve a fresh entry, otherwise fetch and store. When the
+ * fetch fails on the network or a rate limit and an expired entry exists, that entry is served
+ * instead (offline replay) — unless `refresh` asked to replace it or `options.signal` cancelled
+ * the fetch.
+ * @param {string} videoId
+ * @param {FetchTranscriptOptions} [options]
+ * @param {CacheOptions} [cache]
+ * @returns {Promise<{ result: TranscriptResult, source: CacheSource, fetchedAt: string }>}
+ */
+export async function fetchTranscriptCached(videoId, options = {}, cache = {}) {
+  const { dir = defaultCacheDir(), ttlDays = DEFAULT_CACHE_TTL_DAYS, refresh = false, fetch = fetchTranscript } = cache;
+  const now = new Date();
+  const entry = await readCacheEntry(dir, videoId, options);
+  if (entry && !refresh && isFresh(entry, ttlDays, now)) {
+    return { result: entry.result, source: "cache", fetchedAt: entry.fetchedAt };
+  }
+
+  let result;
+  try {
+    result = await fetch(videoId, options);
+  } catch (e) {
+    if (entry && !refresh && isUnreachable(e) && !options.signal?.aborted) {
+      return { result: entry.result, source: "stale", fetchedAt: entry.fetchedAt };
+    }
+    throw e;
+  }
+  try {
+    await writeCacheEntry(dir, result, options, now);
+  } catch {
+    // A read-only or full disk shouldn't fail the fetch itself
+  }
+  return { result, source: "network", fetchedAt: now.toISOString() };
+}
+
+/**
+ * @param {string} dir
+ * @returns {Promise<string[]>} Entry paths; empty when the directory doesn't exist
+ */
+async function entryFiles(dir) {
+  try {
+    return (await readdir(dir)).filter((f) => f.endsWith(".json")).map((f) => join(dir, f));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read every cache entry, newest first, skipping unreadable ones.
+ * @param {string} dir
+ * @returns {Promise<Array<CacheEntry & { file: string }>>}
+ */
+export async function readCacheEntries(dir) {
+  /** @type {Array<CacheEntry & { file: string }>} */
+  const entries = [];
+  for (const file of await entryFiles(dir)) {
+    const entry = await readEntry(file);
+    if (entry) entries.push({ ...entry, file });
+  }
+  return entries.sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+}
+
+/**
+ * Describe every cache entry, newest first.
+ * @param {string} dir
+ * @returns {Promise<CacheListing[]>}
+ */
+export async function listCacheEntries(dir) {
+  /** @type {CacheListing[]} */
+  const listings = [];
+  for (const { file, fetchedAt, result } of await readCacheEntries(dir)) {
+    const { videoId, title, language, kind } = result;
+    listings.push({ file, videoId, title, language, kind, fetchedAt, bytes: (await stat(file)).size });
+  }
+  return listings;
+}
+
+/**
+ * Delete one cache entry, as listed by readCacheEntries or listCacheEntries.
+ * @param {string} file
+ */
+export async function removeCacheEntry(file) {
+  await rm(file, { force: true });
+}
+
+/**
+ * Delete every cache entry.
+ * @param {string} dir
+ * @returns {Promise<number>} Entries removed
+ */
+export async function clearCache(dir) {
+  const files = await entryFiles(dir);
+  await Promise.all(files.map((f) => rm(f, { force: true })));
+  return files.length;
+}
+
+/**
+ * Delete entries older than the TTL, plus unreadable ones.
+ * @param {string} dir
+ * @param {number} [ttlDays]
+ * @param {Date} [now]
+ * @returns {Promise<number>} Entries removed
+ */
+export async function pruneCache(dir, ttlDays = DEFAULT_CACHE_TTL_DAYS, now = new Date()) {
+  let removed = 0;
+  for (const file of await entryFiles(dir)) {
+    const entry = await readEntry(file);
+    if (entry && isFresh(entry, ttlDays, now)) continue;
+    await rm(file, { force: true });
+    removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,80 @@
+/**
+ * FastyTranscript cookies — loads a Netscape cookies.txt (as written by browser export extensions
+ * or `yt-dlp --cookies-from-browser <browser> --cookies <file>`) and builds the Cookie header
+ * each request should carry.
+ */
+
+import { readFile } from "fs/promises";
+
+/**
+ * @typedef {object} Cookie
+ * @property {string} domain - Lowercase, without the leading dot
+ * @property {boolean} includeSubdomains
+ * @property {string} path
+ * @property {boolean} secure - Only sent over https
+ * @property {number} expires - Epoch seconds; 0 for session cookies
+ * @property {string} name
+ * @property {string} value
+ */
+
+/**
+ * Parse cookies.txt: seven tab-separated fields per line (domain, subdomain flag, path, secure,
+ * expiry, name, value). `#` lines are comments, except `#HttpOnly_` which marks an HttpOnly cookie.
+ * @param {string} text
+ * @returns {Cookie[]}
+ */
+export function parseCookiesTxt(text) {
+  /** @type {Cookie[]} */
+  const cookies = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.startsWith("#HttpOnly_") ? raw.slice("#HttpOnly_".length) : raw;
+    if (!line.trim() || line.startsWith("#")) continue;
+    const fields = line.split("\t");
+    if (fields.length < 7) continue;
+    const [domain, subdomains, path, secure, expires, name, ...value] = fields;
+    cookies.push({
+      domain: domain.replace(/^\./, "").toLowerCase(),
+      includeSubdomains: subdomains.toUpperCase() === "TRUE" || domain.startsWith("."),
+      path: path || "/",
+      secure: secure.toUpperCase() === "TRUE",
+      expires: Number(expires) || 0,
+      name,
+      value: value.join("\t"),
+    });
+  }
+  return cookies;
+}
+
+/**
+ * @param {string} path
+ * @returns {Promise<Cookie[]>}
+ * @throws {Error} When the file can't be read or holds no cookies
+ */
+export async function loadCookieFile(path) {
+  const cookies = parseCookiesTxt(await readFile(path, "utf-8"));
+  if (cookies.length === 0) throw new Error(`${path} contains no cookies (expected Netscape cookies.txt format)`);
+  return cookies;
+}
+
+/**
+ * The Cookie header for `url`: cookies whose domain and path match, that haven't expired, and
+ * (for secure ones) only over https.
+ * @param {Cookie[]} cookies
+ * @param {string | URL} url
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {string} Empty when no cookie applies
+ */
+export function cookieHeader(cookies, url, now = Date.now()) {
+  const { hostname, pathname, protocol } = new URL(url);
+  const host = hostname.toLowerCase();
+  return cookies
+    .filter(
+      (c) =>
+        (host === c.domain || (c.includeSubdomains && host.endsWith(`.${c.domain}`))) &&
+        pathname.startsWith(c.path) &&
+        (!c.secure || protocol === "https:") &&
+        (c.expires === 0 || c.expires * 1000 > now),
+    )
+    .map((c) => `${c.name}=${c.value}`)
+    .join("; ");
+}
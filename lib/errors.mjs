@@ -0,0 +1,191 @@
+/**
+ * FastyTranscript errors — typed failures with stable codes, so callers can tell a private video
+ * from missing captions, an age gate, rate limiting or a network problem without parsing messages.
+ */
+
+/**
+ * @typedef {"VIDEO_UNAVAILABLE" | "VIDEO_PRIVATE" | "AGE_RESTRICTED" | "NO_CAPTIONS" | "TRANSLATION_UNAVAILABLE" | "RATE_LIMITED" | "NETWORK" | "UNKNOWN"} ErrorCode
+ */
+
+/**
+ * Serializable form of a strategy's failure, as listed in results and `--json` output.
+ * @typedef {{ strategy: string, code: ErrorCode, message: string }} StrategyFailure
+ */
+
+/**
+ * A player response's `playabilityStatus`.
+ * @typedef {{ status?: string, reason?: string, messages?: string[] }} PlayabilityStatus
+ */
+
+export class TranscriptError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ code?: ErrorCode, cause?: unknown }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = "TranscriptError";
+    /** @type {ErrorCode} */
+    this.code = options.code || "UNKNOWN";
+  }
+}
+
+/** The video was removed, never existed, is private, or can't be played here. */
+export class VideoUnavailableError extends TranscriptError {
+  /**
+   * @param {string} message
+   * @param {{ code?: "VIDEO_UNAVAILABLE" | "VIDEO_PRIVATE", cause?: unknown }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: options.code || "VIDEO_UNAVAILABLE", cause: options.cause });
+    this.name = "VideoUnavailableError";
+  }
+}
+
+/** YouTube wants a signed-in, age-verified viewer. */
+export class AgeRestrictedError extends TranscriptError {
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "AGE_RESTRICTED", cause: options.cause });
+    this.name = "AgeRestrictedError";
+  }
+}
+
+/** The video plays but has no caption track matching the request. */
+export class NoCaptionsError extends TranscriptError {
+  /**
+   * @param {string} message
+   * @param {{ code?: "NO_CAPTIONS" | "TRANSLATION_UNAVAILABLE", cause?: unknown }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: options.code || "NO_CAPTIONS", cause: options.cause });
+    this.name = "NoCaptionsError";
+  }
+}
+
+/** HTTP 429, a captcha page, or a "confirm you're not a bot" check. */
+export class RateLimitedError extends TranscriptError {
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "RATE_LIMITED", cause: options.cause });
+    this.name = "RateLimitedError";
+  }
+}
+
+/** Timeouts, connection failures and server errors. */
+export class NetworkError extends TranscriptError {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, cause?: unknown }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "NETWORK", cause: options.cause });
+    this.name = "NetworkError";
+    /** @type {number | undefined} HTTP status, when the server answered */
+    this.status = options.status;
+  }
+}
+
+// Most telling first: what the video's own status says outranks how a strategy happened to fail
+/** @type {ErrorCode[]} */
+const CODE_PRIORITY = [
+  "VIDEO_PRIVATE",
+  "AGE_RESTRICTED",
+  "VIDEO_UNAVAILABLE",
+  "TRANSLATION_UNAVAILABLE",
+  "NO_CAPTIONS",
+  "RATE_LIMITED",
+  "NETWORK",
+  "UNKNOWN",
+];
+
+/** Every strategy failed. `code` is the most telling of their codes; `failures` lists each one. */
+export class AllStrategiesFailedError extends TranscriptError {
+  /**
+   * @param {StrategyFailure[]} failures
+   * @param {string} [headline] - First line of the message; the failures follow one per line
+   */
+  constructor(failures, headline = "No transcript available. All methods failed:") {
+    const code = CODE_PRIORITY.find((c) => failures.some((f) => f.code === c)) || "UNKNOWN";
+    super([headline, ...failures.map((f) => `- ${f.strategy}: ${f.message}`)].join("\n"), { code });
+    this.name = "AllStrategiesFailedError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * CLI exit code per error code. 1 stays the catch-all and 2 is reserved for invalid input.
+ * @type {Record<ErrorCode, number>}
+ */
+export const EXIT_CODES = {
+  UNKNOWN: 1,
+  NO_CAPTIONS: 3,
+  TRANSLATION_UNAVAILABLE: 3,
+  VIDEO_UNAVAILABLE: 4,
+  VIDEO_PRIVATE: 4,
+  AGE_RESTRICTED: 5,
+  RATE_LIMITED: 6,
+  NETWORK: 7,
+};
+
+/**
+ * @param {unknown} error
+ * @returns {ErrorCode}
+ */
+export function errorCode(error) {
+  if (error instanceof TranscriptError) return error.code;
+  // A timeout that hit while a response body was still being read
+  return error instanceof Error && error.name === "TimeoutError" ? "NETWORK" : "UNKNOWN";
+}
+
+/**
+ * @param {unknown} error
+ * @returns {number}
+ */
+export function exitCodeFor(error) {
+  return EXIT_CODES[errorCode(error)];
+}
+
+/**
+ * @param {string} strategy - Label of the strategy that failed
+ * @param {unknown} error
+ * @returns {StrategyFailure}
+ */
+export function toStrategyFailure(strategy, error) {
+  return { strategy, code: errorCode(error), message: error instanceof Error ? error.message : String(error) };
+}
+
+/**
+ * Turn a player response's playabilityStatus into the error it implies.
+ * @param {PlayabilityStatus | undefined} playability
+ * @returns {TranscriptError | null} null when the video is playable (or the status is missing)
+ */
+export function classifyPlayability(playability) {
+  const status = playability?.status;
+  if (!status || status === "OK") return null;
+  const reason = playability?.reason || playability?.messages?.[0] || status;
+  if (/not a bot/i.test(reason)) return new RateLimitedError(reason);
+  if (/private/i.test(reason)) return new VideoUnavailableError(reason, { code: "VIDEO_PRIVATE" });
+  if (status.startsWith("AGE_") || /\bage\b|inappropriate/i.test(reason)) return new AgeRestrictedError(reason);
+  return new VideoUnavailableError(reason);
+}
+
+/**
+ * Error for a YouTube response that wasn't ok.
+ * @param {string} what - e.g. "ANDROID API"
+ * @param {number} status
+ * @returns {TranscriptError}
+ */
+export function httpStatusError(what, status) {
+  const message = `${what} returned ${status}`;
+  if (status === 429) return new RateLimitedError(message);
+  if (status === 404) return new VideoUnavailableError(message);
+  if (status >= 500) return new NetworkError(message, { status });
+  return new TranscriptError(message);
+}
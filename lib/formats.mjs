@@ -0,0 +1,448 @@
+/**
+ * FastyTranscript output formats — Markdown, plain text, SRT, WebVTT, JSON and JSON Lines,
+ * all built from TranscriptSegment start/duration data.
+ */
+
+import { decodeHtmlEntities } from "./transcript.mjs";
+
+/** @typedef {import("./transcript.mjs").TranscriptSegment} TranscriptSegment */
+/** @typedef {import("./transcript.mjs").TranscriptResult} TranscriptResult */
+/** @typedef {import("./transcript.mjs").TrackKind} TrackKind */
+/** @typedef {import("./transcript.mjs").Chapter} Chapter */
+/** @typedef {import("./transcript.mjs").VideoMetadata} VideoMetadata */
+
+/**
+ * @typedef {"md" | "txt" | "srt" | "vtt" | "json" | "jsonl"} OutputFormat
+ */
+
+/** @type {OutputFormat[]} */
+export const OUTPUT_FORMATS = ["md", "txt", "srt", "vtt", "json", "jsonl"];
+
+/**
+ * @typedef {object} RenderOptions
+ * @property {boolean} [timestamps] - Prefix lines with `[MM:SS]` (md and txt only)
+ * @property {boolean} [reflow] - Rebuild sentences and paragraphs instead of one line per caption (md and txt only)
+ * @property {boolean} [chapters] - Split md and txt into one section per video chapter (default true; no-op without chapters)
+ * @property {boolean} [includeMethod] - Add the strategy that produced the transcript to the md header
+ * @property {string} [generator] - Name in the md footer (default "FastyTranscript")
+ */
+
+// ── Text ────────────────────────────────────────────────────────────────────
+
+/**
+ * Format seconds as MM:SS.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${String(mins).padStart(2, "0")}:${String(secs).padStart(2, "0")}`;
+}
+
+/**
+ * Watch URL for a video, starting playback at `seconds` when given.
+ * @param {string} videoId
+ * @param {number} [seconds]
+ * @returns {string}
+ */
+export function videoUrl(videoId, seconds) {
+  const base = `https://www.youtube.com/watch?v=${videoId}`;
+  return seconds === undefined ? base : `${base}&t=${Math.floor(seconds)}`;
+}
+
+/**
+ * Join segments into one line of decoded text.
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+export function joinSegments(segments) {
+  return decodeHtmlEntities(segments.map((s) => s.text).join(" ")).trim();
+}
+
+/**
+ * Join segments one per line, each prefixed with `[MM:SS]`.
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+export function joinSegmentsWithTimestamps(segments) {
+  return segments.map((s) => `[${formatTimestamp(s.start)}] ${decodeHtmlEntities(s.text).trim()}`).join("\n");
+}
+
+/**
+ * Format segments as transcript text: reflowed into paragraphs, or joined with or
+ * without timestamps.
+ * @param {TranscriptSegment[]} segments
+ * @param {{ timestamps?: boolean, reflow?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatSegments(segments, options = {}) {
+  if (options.reflow) return formatParagraphs(reflowSegments(segments), options);
+  return options.timestamps ? joinSegmentsWithTimestamps(segments) : joinSegments(segments);
+}
+
+// ── Reflow ──────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} ReflowOptions
+ * @property {number} [pauseGap] - Silence in seconds that ends a sentence when captions lack punctuation (default 1)
+ * @property {number} [paragraphGap] - Silence in seconds that starts a new paragraph at a sentence end (default 3)
+ * @property {number} [sentencesPerParagraph] - Paragraph length before a break is forced (default 4)
+ * @property {number} [maxSentenceWords] - Cap for run-on sentences in unpunctuated captions (default 60)
+ */
+
+/** @typedef {{ start: number, text: string }} Paragraph */
+
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+
+/**
+ * Whether captions carry their own sentence punctuation. Auto-generated tracks usually don't,
+ * so reflow falls back to pause gaps for them.
+ * @param {TranscriptSegment[]} segments
+ * @returns {boolean}
+ */
+export function isPunctuated(segments) {
+  if (segments.length === 0) return false;
+  const withPunctuation = segments.filter((s) => /[.!?…]/.test(s.text)).length;
+  return withPunctuation / segments.length >= 0.1;
+}
+
+/**
+ * Rebuild sentences from caption fragments and group them into paragraphs. Sentences end
+ * at punctuation when the captions have it, otherwise at pauses between segments (and are
+ * then capitalized and given a full stop).
+ * @param {TranscriptSegment[]} segments
+ * @param {ReflowOptions} [options]
+ * @returns {Paragraph[]}
+ */
+export function reflowSegments(segments, options = {}) {
+  const { pauseGap = 1, paragraphGap = 3, sentencesPerParagraph = 4, maxSentenceWords = 60 } = options;
+  const punctuated = isPunctuated(segments);
+  /** @type {Paragraph[]} */
+  const paragraphs = [];
+  /** @type {string[]} */
+  let sentences = [];
+  /** @type {string[]} */
+  let sentence = [];
+  let sentenceWords = 0;
+  let paragraphStart = 0;
+
+  const endSentence = () => {
+    if (sentence.length > 0) {
+      const text = sentence.join(" ");
+      // Pause-delimited sentences get the capital and full stop the captions left out
+      sentences.push(
+        punctuated ? text : `${text[0].toUpperCase()}${text.slice(1)}${SENTENCE_END.test(text) ? "" : "."}`,
+      );
+    }
+    sentence = [];
+    sentenceWords = 0;
+  };
+  const endParagraph = () => {
+    endSentence();
+    if (sentences.length > 0) paragraphs.push({ start: paragraphStart, text: sentences.join(" ") });
+    sentences = [];
+  };
+
+  segments.forEach((seg, i) => {
+    const text = decodeHtmlEntities(seg.text).trim();
+    if (!text) return;
+    if (sentence.length === 0 && sentences.length === 0) paragraphStart = seg.start;
+
+    // A fragment can close one sentence and open the next ("...end. And then")
+    const pieces = punctuated ? text.split(/(?<=[.!?…]["'”’)\]]*)\s+/) : [text];
+    for (const piece of pieces) {
+      if (sentence.length === 0 && sentences.length >= sentencesPerParagraph) {
+        endParagraph();
+        paragraphStart = seg.start;
+      }
+      sentence.push(piece);
+      sentenceWords += piece.split(" ").length;
+      if ((punctuated && SENTENCE_END.test(piece)) || sentenceWords >= maxSentenceWords) endSentence();
+    }
+
+    const next = segments[i + 1];
+    const gap = next ? next.start - (seg.start + seg.duration) : Infinity;
+    if (!punctuated && gap >= pauseGap) endSentence();
+    if (sentence.length === 0 && (gap >= paragraphGap || sentences.length >= sentencesPerParagraph)) endParagraph();
+  });
+  endParagraph();
+  return paragraphs;
+}
+
+/**
+ * Join reflowed paragraphs with blank lines, optionally prefixing each with `[MM:SS]`.
+ * @param {Paragraph[]} paragraphs
+ * @param {{ timestamps?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatParagraphs(paragraphs, options = {}) {
+  return paragraphs.map((p) => (options.timestamps ? `[${formatTimestamp(p.start)}] ${p.text}` : p.text)).join("\n\n");
+}
+
+// ── Chapters ────────────────────────────────────────────────────────────────
+
+/**
+ * Group segments by the chapter they start in. Segments before the first chapter's
+ * start belong to the first chapter.
+ * @param {TranscriptSegment[]} segments
+ * @param {Chapter[]} chapters
+ * @returns {Array<{ chapter: Chapter, segments: TranscriptSegment[] }>}
+ */
+export function splitByChapters(segments, chapters) {
+  const sections = chapters.map((chapter) => ({ chapter, segments: /** @type {TranscriptSegment[]} */ ([]) }));
+  if (sections.length === 0) return sections;
+  let current = 0;
+  for (const seg of segments) {
+    while (current + 1 < sections.length && seg.start >= sections[current + 1].chapter.start) current++;
+    sections[current].segments.push(seg);
+  }
+  return sections;
+}
+
+/**
+ * Format segments as text sections, one per chapter, each under a heading built by `heading`.
+ * Chapters without captions keep their heading so the outline stays complete.
+ * @param {TranscriptSegment[]} segments
+ * @param {Chapter[]} chapters
+ * @param {(chapter: Chapter) => string} heading
+ * @param {{ timestamps?: boolean, reflow?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatChapterSections(segments, chapters, heading, options = {}) {
+  return splitByChapters(segments, chapters)
+    .map(({ chapter, segments }) => {
+      const body = formatSegments(segments, options);
+      return body ? `${heading(chapter)}\n\n${body}` : heading(chapter);
+    })
+    .join("\n\n");
+}
+
+/**
+ * Transcript text for md/txt: chapter sections when the video has chapters, otherwise one block.
+ * @param {TranscriptResult} result
+ * @param {OutputFormat} format
+ * @param {RenderOptions} options
+ * @returns {string}
+ */
+export function formatTranscriptText(result, format, options) {
+  if (options.chapters === false || !result.chapters?.length) return formatSegments(result.segments, options);
+  const heading =
+    format === "md"
+      ? (/** @type {Chapter} */ c) => `## ${c.title} (${formatTimestamp(c.start)})`
+      : (/** @type {Chapter} */ c) => `${c.title} (${formatTimestamp(c.start)})`;
+  return formatChapterSections(result.segments, result.chapters, heading, options);
+}
+
+// ── Markdown ────────────────────────────────────────────────────────────────
+
+/**
+ * Build a YAML front-matter block (with `---` fences) describing the video, for note apps
+ * that index Markdown by its front matter.
+ * @param {string} videoId
+ * @param {string} title
+ * @param {VideoMetadata | null} metadata - Without it the block has just the title, ID and URL
+ * @param {string} [date] - YYYY-MM-DD, written as an unquoted YAML date
+ * @returns {string}
+ */
+export function formatFrontMatter(videoId, title, metadata, date) {
+  // JSON strings and arrays are valid YAML flow scalars, which saves a quoting routine
+  const lines = [
+    "---",
+    `title: ${JSON.stringify(title)}`,
+    `videoId: ${JSON.stringify(videoId)}`,
+    `url: https://youtube.com/watch?v=${videoId}`,
+  ];
+  if (date) lines.push(`date: ${date}`);
+  if (metadata) {
+    lines.push(
+      `channel: ${JSON.stringify(metadata.author)}`,
+      `channelId: ${JSON.stringify(metadata.channelId)}`,
+      `lengthSeconds: ${metadata.lengthSeconds}`,
+      `viewCount: ${metadata.viewCount}`,
+      `keywords: ${JSON.stringify(metadata.keywords)}`,
+    );
+  }
+  const description = metadata?.description.trim();
+  if (description) {
+    lines.push("description: |-", ...description.split("\n").map((l) => (l.trim() ? `  ${l.trimEnd()}` : "")));
+  }
+  lines.push("---");
+  return lines.join("\n");
+}
+
+/**
+ * Wrap transcript text in the FastyTranscript Markdown document.
+ * @param {string} transcript
+ * @param {string} videoId
+ * @param {string} title
+ * @param {{ method?: string, language?: string, kind?: TrackKind, translatedFrom?: string, metadata?: VideoMetadata | null, generator?: string }} [options] -
+ *   `method` adds a Method line, `kind` (with `language`/`translatedFrom`) a Captions line, `metadata` a YAML
+ *   front-matter block and a Channel line; `generator` names the footer
+ * @returns {string}
+ */
+export function formatTranscriptAsMarkdown(transcript, videoId, title, options = {}) {
+  const { method, language, kind, translatedFrom, metadata, generator = "FastyTranscript" } = options;
+  const frontMatter = metadata ? `${formatFrontMatter(videoId, title, metadata)}\n\n` : "";
+  const channelLine = metadata?.author ? `\n**Channel:** ${metadata.author}` : "";
+  const lengthLine = metadata?.lengthSeconds ? `\n**Length:** ${formatTimestamp(metadata.lengthSeconds)}` : "";
+  const methodLine = method ? `\n**Method:** ${method}` : "";
+  const kindLabel = kind === "asr" ? "auto-generated" : "manual";
+  const languageLabel = language && translatedFrom ? `${translatedFrom} → ${language}, machine-translated` : language;
+  const captionsLine = kind ? `\n**Captions:** ${kindLabel}${languageLabel ? ` (${languageLabel})` : ""}` : "";
+  return `${frontMatter}# ${title}
+
+**URL:** https://youtube.com/watch?v=${videoId}${channelLine}${lengthLine}${methodLine}${captionsLine}
+
+---
+
+${transcript}
+
+---
+
+*Generated by ${generator}*`;
+}
+
+// ── Subtitles ───────────────────────────────────────────────────────────────
+
+/**
+ * Format seconds as a subtitle cue time, HH:MM:SS followed by `separator` and milliseconds.
+ * @param {number} seconds
+ * @param {"," | "."} separator - "," for SRT, "." for WebVTT
+ * @returns {string}
+ */
+export function formatCueTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (/** @type {number} */ n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Turn segments into cues with decoded text and an end time. Segments without a
+ * duration end where the next one starts.
+ * @param {TranscriptSegment[]} segments
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+export function toCues(segments) {
+  return segments
+    .map((s, i) => {
+      const next = segments[i + 1];
+      const end = s.duration > 0 ? s.start + s.duration : next ? Math.max(next.start, s.start) : s.start;
+      return { start: s.start, end, text: decodeHtmlEntities(s.text).trim() };
+    })
+    .filter((c) => c.text);
+}
+
+/**
+ * Format segments as an SRT subtitle file. SRT has no escapes, so an arrow in the text is
+ * broken up to keep it from reading as a timing line.
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+export function formatSrt(segments) {
+  return toCues(segments)
+    .map((c, i) => {
+      const text = c.text.replaceAll("-->", "->");
+      return `${i + 1}\n${formatCueTime(c.start, ",")} --> ${formatCueTime(c.end, ",")}\n${text}\n`;
+    })
+    .join("\n");
+}
+
+/**
+ * Format segments as a WebVTT subtitle file. Cue text escapes `&`, `<` and `>`, which WebVTT
+ * would otherwise read as entities, tags and timing arrows.
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+export function formatVtt(segments) {
+  const cues = toCues(segments).map((c) => {
+    const text = c.text.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+    return `${formatCueTime(c.start, ".")} --> ${formatCueTime(c.end, ".")}\n${text}\n`;
+  });
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+// ── Data ────────────────────────────────────────────────────────────────────
+
+/**
+ * The `--json` document: fetch details (including each strategy's outcome and latency, and the
+ * coded errors of the ones that failed), video metadata, chapter boundaries and raw segments.
+ * @param {TranscriptResult} result
+ * @returns {string}
+ */
+export function formatJson(result) {
+  const { videoId, title, method, attempts, errors, language, kind, translatedFrom, metadata, chapters, segments } =
+    result;
+  const json = {
+    videoId,
+    title,
+    method,
+    attempts,
+    errors,
+    language,
+    kind,
+    translatedFrom,
+    metadata,
+    chapters,
+    segmentCount: segments.length,
+    segments,
+  };
+  return JSON.stringify(json, null, 2);
+}
+
+/**
+ * JSON Lines: one object per segment with decoded text, tagged with the video ID.
+ * @param {TranscriptResult} result
+ * @returns {string}
+ */
+export function formatJsonl(result) {
+  return result.segments
+    .map((s) =>
+      JSON.stringify({
+        videoId: result.videoId,
+        start: s.start,
+        duration: s.duration,
+        text: decodeHtmlEntities(s.text).trim(),
+      }),
+    )
+    .join("\n");
+}
+
+// ── Dispatch ────────────────────────────────────────────────────────────────
+
+/**
+ * Render a fetched transcript in the given output format.
+ * @param {TranscriptResult} result
+ * @param {OutputFormat} format
+ * @param {RenderOptions} [options]
+ * @returns {string}
+ */
+export function renderTranscript(result, format, options = {}) {
+  switch (format) {
+    case "md":
+      return formatTranscriptAsMarkdown(formatTranscriptText(result, format, options), result.videoId, result.title, {
+        method: options.includeMethod ? result.method : undefined,
+        language: result.language,
+        kind: result.kind,
+        translatedFrom: result.translatedFrom,
+        metadata: result.metadata,
+        generator: options.generator,
+      });
+    case "txt":
+      return formatTranscriptText(result, format, options);
+    case "srt":
+      return formatSrt(result.segments);
+    case "vtt":
+      return formatVtt(result.segments);
+    case "json":
+      return formatJson(result);
+    case "jsonl":
+      return formatJsonl(result);
+    default:
+      throw new Error(`Unknown output format: ${format} (expected ${OUTPUT_FORMATS.join(", ")})`);
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * FastyTranscript history — previously fetched transcripts read back from the cache, with the
+ * full-text search and channel/date filters of the Raycast history command.
+ */
+
+import { readCacheEntries } from "./cache.mjs";
+import { joinSegments } from "./formats.mjs";
+
+/** @typedef {import("./transcript.mjs").TranscriptResult} TranscriptResult */
+
+/** @typedef {"all" | "day" | "week" | "month"} HistoryPeriod */
+
+/** Days each period reaches back from now. */
+export const HISTORY_PERIOD_DAYS = { day: 1, week: 7, month: 30 };
+
+/**
+ * @typedef {object} HistoryItem
+ * @property {string} file - Cache entry, for deleting it
+ * @property {string} videoId
+ * @property {string} title
+ * @property {string} channel - Empty when the strategy gave no metadata
+ * @property {string} language
+ * @property {string} kind
+ * @property {string} fetchedAt - ISO timestamp
+ * @property {string} text - Decoded transcript text
+ * @property {TranscriptResult} result
+ */
+
+/**
+ * @typedef {object} HistoryFilter
+ * @property {string} [query] - Words that must all appear in the title, channel or transcript
+ * @property {string} [channel] - Exact channel name
+ * @property {HistoryPeriod} [period] - Only items fetched within this period (default "all")
+ * @property {Date} [now]
+ */
+
+/**
+ * Every cached transcript as a history item, newest first.
+ * @param {string} dir - Cache directory
+ * @returns {Promise<HistoryItem[]>}
+ */
+export async function loadHistory(dir) {
+  return (await readCacheEntries(dir)).map(({ file, fetchedAt, result }) => ({
+    file,
+    videoId: result.videoId,
+    title: result.title,
+    channel: result.metadata?.author || "",
+    language: result.language,
+    kind: result.kind,
+    fetchedAt,
+    text: joinSegments(result.segments),
+    result,
+  }));
+}
+
+/**
+ * @param {string} query
+ * @returns {string[]}
+ */
+function queryWords(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Items matching every part of the filter, in their original order. Search is case-insensitive.
+ * @param {HistoryItem[]} items
+ * @param {HistoryFilter} [filter]
+ * @returns {HistoryItem[]}
+ */
+export function filterHistory(items, filter = {}) {
+  const { query = "", channel, period = "all", now = new Date() } = filter;
+  const words = queryWords(query);
+  const since = period === "all" ? -Infinity : now.getTime() - HISTORY_PERIOD_DAYS[period] * 86400000;
+  return items.filter((item) => {
+    if (channel && item.channel !== channel) return false;
+    if (Date.parse(item.fetchedAt) < since) return false;
+    const haystack = `${item.title}\n${item.channel}\n${item.text}`.toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  });
+}
+
+/**
+ * Distinct channel names, sorted, for the channel filter.
+ * @param {HistoryItem[]} items
+ * @returns {string[]}
+ */
+export function historyChannels(items) {
+  return [...new Set(items.map((i) => i.channel).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * The transcript text around the first query word it contains, to show why an item matched.
+ * @param {string} text
+ * @param {string} query
+ * @param {number} [width] - Characters of context on each side
+ * @returns {string | null} null when no word occurs in the transcript (the title or channel matched)
+ */
+export function matchSnippet(text, query, width = 40) {
+  const lower = text.toLowerCase();
+  const at = queryWords(query)
+    .map((w) => lower.indexOf(w))
+    .filter((i) => i >= 0)
+    .sort((a, b) => a - b)[0];
+  if (at === undefined) return null;
+  const start = Math.max(0, at - width);
+  const end = Math.min(text.length, at + width);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+}
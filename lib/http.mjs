@@ -0,0 +1,168 @@
+/**
+ * FastyTranscript HTTP — every YouTube request goes through httpFetch, which adds a per-request
+ * timeout, retries 429/5xx responses and network errors with jittered exponential backoff
+ * (honouring Retry-After), and applies the configured proxy and cookies.
+ */
+
+import { setTimeout as sleep } from "timers/promises";
+import { cookieHeader } from "./cookies.mjs";
+import { NetworkError } from "./errors.mjs";
+import { parseProxyUrl, proxyFetch } from "./proxy.mjs";
+
+/** @typedef {import("./cookies.mjs").Cookie} Cookie */
+
+/**
+ * @typedef {object} HttpOptions
+ * @property {number} [timeoutMs] - Abort a request (including reading its body) after this long
+ * @property {number} [retries] - Retries after the first attempt
+ * @property {number} [backoffMs] - Base delay; attempt n waits a random time up to backoffMs * 2^n
+ * @property {number} [maxBackoffMs] - Cap for the backoff delay
+ * @property {number} [maxRetryAfterMs] - Longest Retry-After worth waiting for; longer ones end the retries
+ * @property {string | null} [proxy] - http(s):// or socks5(h):// proxy URL (see ./proxy.mjs)
+ * @property {Cookie[]} [cookies] - Sent to the hosts they belong to, on every request and redirect
+ * @property {typeof fetch | null} [fetch] - Used instead of the global fetch (e.g. to replay recorded
+ *   responses in tests); requests through a proxy don't use it
+ */
+
+/** @type {Required<HttpOptions>} */
+export const DEFAULT_HTTP_OPTIONS = {
+  timeoutMs: 10000,
+  retries: 2,
+  backoffMs: 500,
+  maxBackoffMs: 8000,
+  maxRetryAfterMs: 30000,
+  proxy: null,
+  cookies: [],
+  fetch: null,
+};
+
+const MAX_REDIRECTS = 5;
+
+/** @type {Required<HttpOptions>} */
+let httpDefaults = { ...DEFAULT_HTTP_OPTIONS };
+
+/**
+ * Change the options every later httpFetch call starts from (e.g. from CLI flags).
+ * Undefined fields keep their current value.
+ * @param {HttpOptions} options
+ */
+export function setHttpDefaults(options) {
+  const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+  httpDefaults = { ...httpDefaults, ...Object.fromEntries(defined) };
+}
+
+/**
+ * @returns {Required<HttpOptions>}
+ */
+export function getHttpDefaults() {
+  return { ...httpDefaults };
+}
+
+/**
+ * Whether a response status is worth retrying: rate limiting and server errors.
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status !== 501);
+}
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date.
+ * @param {string | null} header
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {number | undefined} Milliseconds to wait
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return undefined;
+  if (/^\d+$/.test(header.trim())) return parseInt(header, 10) * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): Retry-After when the server sent one,
+ * otherwise "full jitter" exponential backoff.
+ * @param {number} attempt
+ * @param {Required<HttpOptions>} options
+ * @param {number} [retryAfterMs]
+ * @param {() => number} [random]
+ * @returns {number | null} Milliseconds, or null when Retry-After exceeds maxRetryAfterMs
+ */
+export function retryDelay(attempt, options, retryAfterMs, random = Math.random) {
+  if (retryAfterMs !== undefined) return retryAfterMs <= options.maxRetryAfterMs ? retryAfterMs : null;
+  return Math.round(random() * Math.min(options.maxBackoffMs, options.backoffMs * 2 ** attempt));
+}
+
+/**
+ * One attempt: fetch (through the proxy, if any) and follow redirects, recomputing the Cookie
+ * header for each hop so cookies never leave the hosts they belong to.
+ * @param {string | URL} url
+ * @param {RequestInit} init
+ * @param {Required<HttpOptions>} policy
+ * @returns {Promise<Response>}
+ */
+async function send(url, init, policy) {
+  const proxy = policy.proxy ? parseProxyUrl(policy.proxy) : null;
+  const headers = new Headers(init.headers);
+  let { method = "GET", body } = init;
+  let target = new URL(url);
+  for (let redirects = 0; ; redirects++) {
+    const cookie = cookieHeader(policy.cookies, target);
+    if (cookie) headers.set("Cookie", cookie);
+    else headers.delete("Cookie");
+    /** @type {RequestInit} */
+    const request = { ...init, method, body, headers, redirect: "manual" };
+    const response = proxy ? await proxyFetch(target, request, proxy) : await (policy.fetch || fetch)(target, request);
+
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status > 399 || !location || redirects >= MAX_REDIRECTS) return response;
+    await response.body?.cancel();
+    target = new URL(location, target);
+    // As fetch does: 303, and 301/302 after a POST, continue as a GET without the body
+    if (response.status === 303 || (method === "POST" && response.status <= 302)) {
+      method = "GET";
+      body = undefined;
+      headers.delete("Content-Type");
+    }
+  }
+}
+
+/**
+ * fetch() with a timeout and retries. Retryable statuses are returned as-is once the retries
+ * run out, so callers keep their own `response.ok` handling; timeouts and connection failures
+ * throw a NetworkError.
+ * @param {string | URL} url
+ * @param {RequestInit} [init] - `init.signal` cancels the request and any pending retry
+ * @param {HttpOptions} [options] - Overrides for the defaults set with setHttpDefaults
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(url, init = {}, options = {}) {
+  const policy = { ...httpDefaults, ...options };
+  for (let attempt = 0; ; attempt++) {
+    const timeout = AbortSignal.timeout(policy.timeoutMs);
+    const signal = init.signal ? AbortSignal.any([init.signal, timeout]) : timeout;
+
+    /** @type {Response} */
+    let response;
+    try {
+      response = await send(url, { ...init, signal }, policy);
+    } catch (e) {
+      if (init.signal?.aborted) throw e;
+      const message = timeout.aborted
+        ? `Request timed out after ${policy.timeoutMs}ms`
+        : `Request failed: ${e instanceof Error ? (e.cause instanceof Error ? e.cause : e).message : String(e)}`;
+      const error = new NetworkError(message, { cause: e });
+      if (attempt >= policy.retries) throw error;
+      await sleep(retryDelay(attempt, policy) || 0, undefined, { signal: init.signal });
+      continue;
+    }
+
+    if (!isRetryableStatus(response.status) || attempt >= policy.retries) return response;
+    const delay = retryDelay(attempt, policy, parseRetryAfter(response.headers.get("retry-after")));
+    if (delay === null) return response;
+    // Release the connection before waiting
+    await response.body?.cancel();
+    await sleep(delay, undefined, { signal: init.signal });
+  }
+}
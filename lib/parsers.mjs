@@ -2,32 +2,39 @@
  * Shared parsing utilities for batch transcript scripts.
  */
 
+import { decodeEntities, parseSubtitles } from "./transcript.mjs";
+
 /**
- * Decode common HTML entities in text.
+ * Decode HTML entities in text, without touching whitespace (see decodeEntities).
  * @param {string} text
  * @returns {string}
  */
 export function decodeHtmlEntities(text) {
-  return text
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&#39;/g, "'")
-    .replace(/&quot;/g, '"');
+  return decodeEntities(text);
 }
 
 /**
  * Convert VTT subtitle content to plain text.
- * Strips metadata lines, timestamps, VTT tags, and deduplicates lines.
+ * Cues go through parseSubtitles, which strips tags and collapses rolling captions; content
+ * without cue timings is read line by line, skipping metadata and repeated lines.
  * @param {string} vttContent - Raw VTT file content
  * @returns {string} Plain text transcript
  */
 export function vttToPlainText(vttContent) {
-  const lines = vttContent.split("\n");
+  const segments = parseSubtitles(vttContent);
+  const textLines = segments.length > 0 ? segments.map((s) => decodeHtmlEntities(s.text)) : untimedLines(vttContent);
+  return textLines.join(" ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * @param {string} vttContent
+ * @returns {string[]} Distinct text lines
+ */
+function untimedLines(vttContent) {
   const textLines = [];
   const seen = new Set();
 
-  for (const line of lines) {
+  for (const line of vttContent.split("\n")) {
     if (
       line.startsWith("WEBVTT") ||
       line.startsWith("Kind:") ||
@@ -45,8 +52,7 @@ export function vttToPlainText(vttContent) {
       textLines.push(clean);
     }
   }
-
-  return textLines.join(" ").replace(/\s+/g, " ").trim();
+  return textLines;
 }
 
 /**
@@ -0,0 +1,255 @@
+/**
+ * FastyTranscript playlist and channel expansion — recognizes list URLs and resolves them
+ * to video IDs from the page's ytInitialData plus InnerTube browse continuations, with
+ * `yt-dlp --flat-playlist` as a fallback.
+ */
+
+import { WEB_UA, extractAssignedJson } from "./transcript.mjs";
+import { httpFetch } from "./http.mjs";
+import { runYtDlp } from "./ytdlp.mjs";
+import { AllStrategiesFailedError, httpStatusError, RateLimitedError, toStrategyFailure } from "./errors.mjs";
+
+/**
+ * A playlist or channel whose videos can be listed.
+ * @typedef {object} ListSource
+ * @property {"playlist" | "channel"} kind
+ * @property {string} id - Playlist ID, or the channel path ("@handle", "channel/UC…", "c/name", "user/name")
+ * @property {string} url - Canonical page that lists the videos
+ */
+
+/**
+ * @typedef {object} ListEntry
+ * @property {string} videoId
+ * @property {string} title
+ * @property {string} [published] - Upload date as YYYY-MM-DD; approximate when derived from "3 weeks ago"
+ */
+
+/**
+ * @typedef {object} ListFilter
+ * @property {number} [limit] - Keep at most this many videos (after the date filter)
+ * @property {string} [after] - Keep videos published on or after this YYYY-MM-DD date
+ * @property {string} [before] - Keep videos published on or before this YYYY-MM-DD date
+ */
+
+// Continuation pages are ~100 videos (playlists) or ~30 (channels); stop eventually on huge lists
+const MAX_PAGES = 100;
+
+// ── URL recognition ─────────────────────────────────────────────────────────
+
+/**
+ * Recognize a playlist or channel URL; bare playlist IDs and `@handle`s are accepted too.
+ * Callers try extractVideoId first, so `watch?v=…&list=…` stays a single video.
+ * @param {string} input
+ * @returns {ListSource | null}
+ */
+export function extractListSource(input) {
+  const playlist =
+    input.match(
+      /(?:https?:\/\/)?(?:www\.|m\.|music\.)?youtube\.com\/(?:playlist|watch)\?(?:.*&)?list=([a-zA-Z0-9_-]+)/,
+    ) || input.match(/^((?:PL|UU|OL)[a-zA-Z0-9_-]{10,})$/);
+  if (playlist) {
+    return { kind: "playlist", id: playlist[1], url: `https://www.youtube.com/playlist?list=${playlist[1]}` };
+  }
+
+  const channel =
+    input.match(
+      /^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/(@[\w.-]+|channel\/UC[\w-]+|c\/[\w.-]+|user\/[\w.-]+)(?:\/(videos|streams|featured)?)?\/?(?:[?#].*)?$/,
+    ) || input.match(/^(@[\w.-]+)$/);
+  if (channel) {
+    // The featured tab mixes shelves; list the uploads instead
+    const tab = channel[2] === "streams" ? "streams" : "videos";
+    return { kind: "channel", id: channel[1], url: `https://www.youtube.com/${channel[1]}/${tab}` };
+  }
+  return null;
+}
+
+// ── Page parsing ────────────────────────────────────────────────────────────
+
+/**
+ * Turn YouTube's relative upload time ("3 weeks ago", "Streamed 2 days ago") into a date.
+ * @param {string} text
+ * @param {Date} [now]
+ * @returns {string | undefined} YYYY-MM-DD, or undefined when `text` has no relative time
+ */
+export function parseRelativeDate(text, now = new Date()) {
+  const m = text.match(/(\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago/i);
+  if (!m) return undefined;
+  const n = parseInt(m[1], 10);
+  const unit = m[2].toLowerCase();
+  const date = new Date(now);
+  // Calendar arithmetic for months and years so "1 year ago" lands on the same day
+  if (unit === "year") {
+    date.setUTCFullYear(date.getUTCFullYear() - n);
+  } else if (unit === "month") {
+    date.setUTCMonth(date.getUTCMonth() - n);
+  } else {
+    /** @type {Record<string, number>} */
+    const seconds = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800 };
+    date.setTime(date.getTime() - n * seconds[unit] * 1000);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Collect the video entries and the next continuation token from a playlist/channel
+ * ytInitialData object or an InnerTube browse continuation response.
+ * @param {unknown} data
+ * @param {Date} [now] - Reference time for relative upload dates
+ * @returns {{ entries: ListEntry[], continuation: string | null }}
+ */
+export function extractListEntries(data, now = new Date()) {
+  /** @type {ListEntry[]} */
+  const entries = [];
+  /** @type {string | null} */
+  let continuation = null;
+  /** @param {{ runs?: Array<{ text: string }>, simpleText?: string } | undefined} text */
+  const textOf = (text) => text?.simpleText || (text?.runs || []).map((r) => r.text).join("");
+
+  /** @param {any} node */
+  const walk = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    const renderer = node.playlistVideoRenderer || node.videoRenderer || node.gridVideoRenderer;
+    if (renderer?.videoId) {
+      const relative = textOf(renderer.publishedTimeText) || textOf(renderer.videoInfo);
+      const published = parseRelativeDate(relative, now);
+      entries.push({ videoId: renderer.videoId, title: textOf(renderer.title), ...(published && { published }) });
+      return;
+    }
+    const token = node.continuationItemRenderer?.continuationEndpoint?.continuationCommand?.token;
+    if (token) {
+      continuation = token;
+      return;
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(data);
+  return { entries, continuation };
+}
+
+/**
+ * Apply the date range, then the limit. Entries without a known date are kept.
+ * @param {ListEntry[]} entries
+ * @param {ListFilter} [filter]
+ * @returns {ListEntry[]}
+ */
+export function filterListEntries(entries, filter = {}) {
+  const { limit, after, before } = filter;
+  const inRange = entries.filter(
+    (e) => !e.published || ((!after || e.published >= after) && (!before || e.published <= before)),
+  );
+  return limit ? inRange.slice(0, limit) : inRange;
+}
+
+// ── Fetching ────────────────────────────────────────────────────────────────
+
+/**
+ * Fetch one InnerTube browse continuation page.
+ * @param {string} token
+ * @param {string} clientVersion - WEB client version announced by the list page
+ * @returns {Promise<unknown>}
+ */
+async function fetchBrowseContinuation(token, clientVersion) {
+  const response = await httpFetch("https://www.youtube.com/youtubei/v1/browse?prettyPrint=false", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "User-Agent": WEB_UA },
+    body: JSON.stringify({
+      context: { client: { clientName: "WEB", clientVersion, hl: "en", gl: "US" } },
+      continuation: token,
+    }),
+  });
+  if (!response.ok) throw httpStatusError("InnerTube browse", response.status);
+  return await response.json();
+}
+
+/**
+ * List a playlist's or channel's videos from its page, following continuations until the
+ * list ends, the limit is met, or (for channel uploads, which are newest first) the videos
+ * get older than `filter.after`.
+ * @param {ListSource} source
+ * @param {ListFilter} [filter]
+ * @returns {Promise<ListEntry[]>} Unfiltered entries
+ */
+export async function fetchListFromPage(source, filter = {}) {
+  const response = await httpFetch(source.url, {
+    headers: { "User-Agent": WEB_UA, "Accept-Language": "en-US,en;q=0.9" },
+  });
+  if (!response.ok) throw httpStatusError("YouTube page", response.status);
+  const html = await response.text();
+  if (html.includes('class="g-recaptcha"')) throw new RateLimitedError("Rate limited (captcha)");
+
+  const initialData = extractAssignedJson(html, "ytInitialData");
+  if (!initialData) throw new Error("Could not find ytInitialData on the page");
+  const clientVersion = html.match(/"INNERTUBE_CLIENT_VERSION":"([^"]+)"/)?.[1] || "2.20240101.00.00";
+
+  const now = new Date();
+  /** @type {ListEntry[]} */
+  const entries = [];
+  /** @type {unknown} */
+  let data = initialData;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const found = extractListEntries(data, now);
+    entries.push(...found.entries);
+
+    const oldest = found.entries[found.entries.length - 1]?.published;
+    const pastRange = source.kind === "channel" && filter.after && oldest && oldest < filter.after;
+    const enough = filter.limit && filterListEntries(entries, filter).length >= filter.limit;
+    if (!found.continuation || pastRange || enough) break;
+    data = await fetchBrowseContinuation(found.continuation, clientVersion);
+  }
+  if (entries.length === 0) throw new Error("No videos found on the page");
+  return entries;
+}
+
+/**
+ * List a playlist's or channel's videos with `yt-dlp --flat-playlist` (requires yt-dlp).
+ * @param {ListSource} source
+ * @param {ListFilter} [filter]
+ * @returns {Promise<ListEntry[]>} Unfiltered entries
+ */
+export async function fetchListFromYtDlp(source, filter = {}) {
+  // Flat listings rarely carry upload dates, so only cut the list short without a date filter
+  const end =
+    filter.limit && !filter.after && !filter.before ? ["--playlist-end", String(Math.floor(filter.limit))] : [];
+  // Long channels take a while to list
+  const result = await runYtDlp(["--flat-playlist", "--dump-single-json", ...end, "--", source.url], {
+    timeoutMs: 120000,
+  });
+  /** @type {{ entries?: Array<{ id?: string, title?: string, upload_date?: string | null }> }} */
+  const info = JSON.parse(result);
+  const entries = (info.entries || [])
+    .filter((e) => e.id && /^[a-zA-Z0-9_-]{11}$/.test(e.id))
+    .map((e) => {
+      const d = e.upload_date;
+      const published = d && /^\d{8}$/.test(d) ? `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6)}` : undefined;
+      return { videoId: e.id || "", title: e.title || "", ...(published && { published }) };
+    });
+  if (entries.length === 0) throw new Error("yt-dlp listed no videos");
+  return entries;
+}
+
+/**
+ * Resolve a playlist or channel to its videos: page + InnerTube browse first, then yt-dlp.
+ * @param {ListSource} source
+ * @param {ListFilter} [filter]
+ * @returns {Promise<ListEntry[]>} Filtered entries
+ * @throws {AllStrategiesFailedError} When both methods fail; the message lists each error
+ */
+export async function fetchListVideos(source, filter = {}) {
+  /** @type {import("./errors.mjs").StrategyFailure[]} */
+  const failures = [];
+  try {
+    return filterListEntries(await fetchListFromPage(source, filter), filter);
+  } catch (e) {
+    failures.push(toStrategyFailure("Page", e));
+  }
+  try {
+    return filterListEntries(await fetchListFromYtDlp(source, filter), filter);
+  } catch (e) {
+    failures.push(toStrategyFailure("yt-dlp", e));
+  }
+  throw new AllStrategiesFailedError(failures, `Could not list videos of ${source.url}:`);
+}
@@ -0,0 +1,1254 @@
+/**
+ * FastyTranscript core — YouTube transcript strategies and caption parsers.
+ * Output formatting lives in ./formats.mjs.
+ *
+ * Shared by the Raycast command (src/), the CLI (cli.mjs) and the tests.
+ *
+ * Programmatic use:
+ *
+ *   import { extractVideoId, fetchTranscript } from "./lib/transcript.mjs";
+ *   import { renderTranscript } from "./lib/formats.mjs";
+ *
+ *   const result = await fetchTranscript(extractVideoId(url));
+ *   console.log(renderTranscript(result, "srt"));
+ */
+
+import { httpFetch } from "./http.mjs";
+import { runYtDlp } from "./ytdlp.mjs";
+import {
+  AllStrategiesFailedError,
+  classifyPlayability,
+  httpStatusError,
+  NoCaptionsError,
+  RateLimitedError,
+  toStrategyFailure,
+  VideoUnavailableError,
+} from "./errors.mjs";
+
+export const WEB_UA =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
+export const ANDROID_UA = "com.google.android.youtube/19.09.37 (Linux; U; Android 12; en_US) gzip";
+
+/**
+ * @typedef {{ text: string, start: number, duration: number }} TranscriptSegment
+ * Text is raw caption text (HTML entities not yet decoded); start and duration are in seconds.
+ */
+
+/**
+ * Caption track as listed in a player response's `captions.playerCaptionsTracklistRenderer.captionTracks`.
+ * @typedef {object} CaptionTrack
+ * @property {string} baseUrl
+ * @property {string} languageCode
+ * @property {string} [kind] - "asr" for auto-generated captions, absent for manual ones
+ * @property {{ simpleText?: string, runs?: Array<{ text: string }> }} [name]
+ * @property {boolean} [isTranslatable]
+ */
+
+/**
+ * Target language YouTube can machine-translate captions into (`translationLanguages`).
+ * @typedef {{ languageCode: string, languageName?: { simpleText?: string } }} TranslationLanguage
+ */
+
+/**
+ * A player response's `captions.playerCaptionsTracklistRenderer`.
+ * @typedef {{ captionTracks: CaptionTrack[], translationLanguages?: TranslationLanguage[] }} CaptionTracklist
+ */
+
+/**
+ * @typedef {object} CaptionTrackInfo
+ * @property {string} languageCode
+ * @property {string} name - Display name, e.g. "English (auto-generated)"
+ * @property {TrackKind} kind
+ */
+
+/**
+ * Name of a registered strategy; the built-ins are "android", "page" and "yt-dlp".
+ * @typedef {string} StrategyName
+ */
+
+/**
+ * @typedef {"asr" | "manual"} TrackKind
+ */
+
+/**
+ * How to rank manual against auto-generated (ASR) tracks within a language.
+ * @typedef {"prefer-manual" | "prefer-asr" | "manual-only"} TrackPolicy
+ */
+
+/**
+ * @typedef {object} TranscriptResult
+ * @property {string} videoId
+ * @property {string} title - Video title from oEmbed (falls back to "YouTube Video <id>")
+ * @property {StrategyName} method - Strategy that produced the segments
+ * @property {string} language - Language code of the caption track used
+ * @property {TrackKind} kind - Whether that track is manual or auto-generated (ASR)
+ * @property {string} [translatedFrom] - Source language when YouTube machine-translated the track into `language`
+ * @property {TranscriptSegment[]} segments
+ * @property {Chapter[]} chapters - Video chapters in order; empty when the video has none
+ * @property {StrategyAttempt[]} attempts - Every strategy started, with its outcome and latency
+ * @property {VideoMetadata | null} metadata - Channel, duration and other video details, when the strategy exposes them
+ * @property {StrategyFailure[]} errors - Failures of the strategies tried before `method` succeeded
+ */
+
+/**
+ * One strategy's run within a fetch. `aborted` means another strategy won first in hedged mode.
+ * @typedef {{ strategy: StrategyName, status: "won" | "failed" | "aborted", ms: number }} StrategyAttempt
+ */
+
+/** @typedef {import("./errors.mjs").StrategyFailure} StrategyFailure */
+
+/**
+ * Video details from the player response's `videoDetails` (or yt-dlp's info JSON).
+ * @typedef {object} VideoMetadata
+ * @property {string} author - Channel name
+ * @property {string} channelId
+ * @property {number} lengthSeconds
+ * @property {number} viewCount
+ * @property {string} description - `shortDescription`, which despite the name is the full description
+ * @property {string[]} keywords
+ */
+
+/**
+ * Chapter start as found in the description, the watch page's chapter markers, or yt-dlp.
+ * @typedef {{ title: string, start: number }} ChapterMarker
+ */
+
+/**
+ * A chapter with its end filled in. Times are in seconds; a chapter covers segments starting in [start, end).
+ * @typedef {{ title: string, start: number, end: number }} Chapter
+ */
+
+// ── Parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Extract the video ID from a YouTube URL (watch, youtu.be, embed, shorts) or a bare 11-char ID.
+ * @param {string} url
+ * @returns {string | null}
+ */
+export function extractVideoId(url) {
+  const patterns = [
+    /(?:https?:\/\/)?(?:www\.)?youtu\.be\/([a-zA-Z0-9_-]+)/,
+    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/watch\?v=([a-zA-Z0-9_-]+)/,
+    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/embed\/([a-zA-Z0-9_-]+)/,
+    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/shorts\/([a-zA-Z0-9_-]+)/,
+    /^([a-zA-Z0-9_-]{11})$/,
+  ];
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match && match[1]) return match[1];
+  }
+  return null;
+}
+
+/** Named entities seen in captions and titles; numeric references cover everything else. */
+/** @type {Record<string, string>} */
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  shy: "\u00ad",
+  ndash: "\u2013",
+  mdash: "\u2014",
+  hellip: "\u2026",
+  lsquo: "\u2018",
+  rsquo: "\u2019",
+  sbquo: "\u201a",
+  ldquo: "\u201c",
+  rdquo: "\u201d",
+  bdquo: "\u201e",
+  laquo: "\u00ab",
+  raquo: "\u00bb",
+  bull: "\u2022",
+  middot: "\u00b7",
+  deg: "\u00b0",
+  copy: "\u00a9",
+  reg: "\u00ae",
+  trade: "\u2122",
+  euro: "\u20ac",
+  pound: "\u00a3",
+  yen: "\u00a5",
+  cent: "\u00a2",
+  sect: "\u00a7",
+  para: "\u00b6",
+  times: "\u00d7",
+  divide: "\u00f7",
+  plusmn: "\u00b1",
+  frac12: "\u00bd",
+  frac14: "\u00bc",
+  frac34: "\u00be",
+  iexcl: "\u00a1",
+  iquest: "\u00bf",
+  szlig: "\u00df",
+  hearts: "\u2665",
+  larr: "\u2190",
+  rarr: "\u2192",
+  uarr: "\u2191",
+  darr: "\u2193",
+  zwj: "\u200d",
+  zwnj: "\u200c",
+  lrm: "\u200e",
+  rlm: "\u200f",
+};
+
+// Accented Latin letters: &eacute; &Ntilde; &ouml; …, built from their combining marks
+/** @type {Record<string, string>} */
+const ACCENTS = {
+  acute: "\u0301",
+  grave: "\u0300",
+  circ: "\u0302",
+  tilde: "\u0303",
+  uml: "\u0308",
+  ring: "\u030a",
+  cedil: "\u0327",
+};
+
+/**
+ * Decode HTML character references in one pass: named entities (see NAMED_ENTITIES and accented
+ * letters like `&eacute;`), decimal `&#39;` and hex `&#x27;`. Unknown or invalid references stay
+ * as written, and a decoded `&` is never decoded again (`&amp;lt;` becomes `&lt;`).
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*));/g, (ref, dec, hex, name) => {
+    if (name) {
+      if (name in NAMED_ENTITIES) return NAMED_ENTITIES[name];
+      const accented = name.match(/^([a-zA-Z])(acute|grave|circ|tilde|uml|ring|cedil)$/);
+      return accented ? (accented[1] + ACCENTS[accented[2]]).normalize("NFC") : ref;
+    }
+    const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    return code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff) ? String.fromCodePoint(code) : ref;
+  });
+}
+
+/**
+ * Decode HTML entities in caption text and collapse whitespace.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeHtmlEntities(text) {
+  return decodeEntities(text).replace(/\s+/g, " ");
+}
+
+/**
+ * Caption formats YouTube's timedtext endpoint serves (its `fmt` parameter), plus WebVTT.
+ * @typedef {"srv1" | "srv2" | "srv3" | "json3" | "vtt"} CaptionFormat
+ */
+
+/** @type {CaptionFormat[]} */
+export const CAPTION_FORMATS = ["srv1", "srv2", "srv3", "json3", "vtt"];
+
+/**
+ * Read an XML start tag's attributes, in any order and with either quote style.
+ * @param {string} attributes - Everything between the tag name and `>`
+ * @returns {Record<string, string>}
+ */
+function parseXmlAttributes(attributes) {
+  /** @type {Record<string, string>} */
+  const result = {};
+  for (const m of attributes.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    result[m[1]] = m[2] ?? m[3];
+  }
+  return result;
+}
+
+/**
+ * Text of a caption element: line breaks become spaces and markup is dropped — the `<s>` word
+ * spans of srv3, `<font>` and friends, including markup YouTube escaped into the text itself.
+ * Entities stay encoded, as for every TranscriptSegment.
+ * @param {string} inner
+ * @returns {string}
+ */
+function captionElementText(inner) {
+  return inner
+    .replace(/<br\s*\/?>|&lt;br\s*\/?&gt;/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&lt;\/?(?:font|b|i|u|s)\b[\s\S]*?&gt;/gi, "");
+}
+
+/**
+ * Parse timedtext XML: srv1 (`<text start="s" dur="s">`), srv2 (`<text t="ms" d="ms">`) and
+ * srv3 (`<p t="ms" d="ms">` with `<s>` word spans). Attributes may come in any order; elements
+ * without a start time, blank ones and self-closing ones (`<p t="0" d="1"/>`) are skipped.
+ * @param {string} xml
+ * @returns {TranscriptSegment[]}
+ */
+export function parseTranscriptXml(xml) {
+  /** @type {TranscriptSegment[]} */
+  const segments = [];
+  for (const m of xml.matchAll(/<(text|p)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g)) {
+    if (m[3] === undefined) continue;
+    const attrs = parseXmlAttributes(m[2]);
+    // srv1 counts in seconds, srv2 and srv3 in milliseconds
+    const seconds = attrs.start !== undefined;
+    const start = seconds ? parseFloat(attrs.start) : parseFloat(attrs.t) / 1000;
+    if (Number.isNaN(start)) continue;
+    const duration = (seconds ? parseFloat(attrs.dur) : parseFloat(attrs.d) / 1000) || 0;
+    const text = captionElementText(m[3]);
+    if (text.trim()) segments.push({ text, start, duration });
+  }
+  return segments;
+}
+
+/**
+ * Parse YouTube's json3 captions: `events` with `tStartMs`/`dDurationMs` and `segs` of `utf8`
+ * text. Events without text (window definitions, the "\n" that starts a rolling line) are skipped.
+ * Unlike the XML formats, json3 text arrives decoded, so its `&` is encoded again to keep a
+ * literal "&amp;" from being decoded twice.
+ * @param {string} json
+ * @returns {TranscriptSegment[]}
+ */
+export function parseTranscriptJson3(json) {
+  /** @type {{ events?: Array<{ tStartMs?: number, dDurationMs?: number, segs?: Array<{ utf8?: string }> }> }} */
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return [];
+  }
+  /** @type {TranscriptSegment[]} */
+  const segments = [];
+  for (const event of data?.events || []) {
+    const text = (event.segs || [])
+      .map((seg) => seg.utf8 || "")
+      .join("")
+      .replace(/\n/g, " ")
+      .replaceAll("&", "&amp;");
+    if (!text.trim()) continue;
+    segments.push({ text, start: (event.tStartMs || 0) / 1000, duration: (event.dDurationMs || 0) / 1000 });
+  }
+  return segments;
+}
+
+/**
+ * Tell a caption body's format from its content.
+ * @param {string} body
+ * @returns {"json3" | "vtt" | "srt" | "xml"}
+ */
+export function detectCaptionFormat(body) {
+  const head = body.trimStart();
+  if (head.startsWith("{")) return "json3";
+  if (head.startsWith("WEBVTT")) return "vtt";
+  return isSrt(body) ? "srt" : "xml";
+}
+
+/**
+ * Parse a caption body in whichever format it is (see detectCaptionFormat).
+ * @param {string} body
+ * @returns {TranscriptSegment[]}
+ */
+export function parseCaptions(body) {
+  const format = detectCaptionFormat(body);
+  if (format === "json3") return parseTranscriptJson3(body);
+  return format === "xml" ? parseTranscriptXml(body) : parseSubtitles(body);
+}
+
+/**
+ * Ask the timedtext endpoint for a specific format (`fmt`).
+ * @param {string} url
+ * @param {CaptionFormat} format
+ * @returns {string}
+ */
+export function withCaptionFormat(url, format) {
+  const u = new URL(url);
+  u.searchParams.set("fmt", format);
+  return u.toString();
+}
+
+// A cue's timing line: start --> end, then optional WebVTT cue settings ("align:start position:0%")
+const CUE_TIMING_RE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+/**
+ * Convert a cue time — "hh:mm:ss.ttt" or "mm:ss.ttt" (WebVTT), "hh:mm:ss,ttt" (SRT) — to seconds.
+ * @param {string} time
+ * @returns {number}
+ */
+export function parseCueTime(time) {
+  const [clock, fraction = "0"] = time.trim().split(/[.,]/);
+  return parseClock(clock) + parseInt(fraction.padEnd(3, "0"), 10) / 1000;
+}
+
+/**
+ * Whether a caption body is SRT: a cue number, then a timing line with comma milliseconds.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isSrt(text) {
+  return /^\s*\d+[ \t]*\r?\n[ \t]*(?:\d+:)?\d{1,2}:\d{2},\d{1,3}\s*-->/.test(text);
+}
+
+// Longest cue that counts as one of YouTube's rolling-caption hold cues (they last ~10 ms)
+const HOLD_CUE_SECONDS = 0.05;
+
+/**
+ * How many of `previous`'s last lines `lines` starts with (the longest such run).
+ * @param {string[]} lines
+ * @param {string[]} previous
+ * @returns {number}
+ */
+function leadingOverlap(lines, previous) {
+  let overlap = Math.min(lines.length, previous.length);
+  while (overlap > 0 && lines.slice(0, overlap).some((line, i) => line !== previous[previous.length - overlap + i])) {
+    overlap--;
+  }
+  return overlap;
+}
+
+/**
+ * Parse WebVTT or SRT into segments with their cue timings. Inline tags (`<c>`, `<i>`, `<v …>`
+ * and karaoke timestamps like `<00:00:01.520>`) are stripped; header, NOTE, STYLE and REGION
+ * blocks are skipped.
+ *
+ * YouTube's auto-generated VTT "rolls": each cue repeats the line above the new one, and a
+ * ~10 ms cue holds the finished line in between. A track with such hold cues or with karaoke
+ * word timings is treated as rolling: lines a cue repeats from the previous cue are dropped and the hold cues extend the
+ * last segment, so every spoken line becomes one segment that ends where the next one starts.
+ * Cues of any other track are kept as they are, even when they repeat the one before.
+ * @param {string} text
+ * @returns {TranscriptSegment[]}
+ */
+export function parseSubtitles(text) {
+  /** @type {Array<{ start: number, end: number, lines: string[] }>} */
+  const cues = [];
+  let wordTimings = false;
+  for (const block of text.replace(/\r\n?/g, "\n").split(/\n{2,}/)) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    const timing = timingIndex < 0 ? null : lines[timingIndex].match(CUE_TIMING_RE);
+    if (!timing) continue;
+    const start = parseCueTime(timing[1]);
+    const end = Math.max(start, parseCueTime(timing[2]));
+    const body = lines.slice(timingIndex + 1);
+    wordTimings ||= body.some((line) => /<(?:\d+:)?\d{2}:\d{2}\.\d{3}>/.test(line));
+    const cueLines = body
+      .map((line) =>
+        line
+          .replace(/<[^>]*>/g, "")
+          .replace(/\s+/g, " ")
+          .trim(),
+      )
+      .filter(Boolean);
+    if (cueLines.length > 0) cues.push({ start, end, lines: cueLines });
+  }
+
+  // A hold cue only repeats the end of the cue before it, for a blink
+  const isHold = (/** @type {number} */ i) =>
+    i > 0 &&
+    cues[i].end - cues[i].start <= HOLD_CUE_SECONDS &&
+    leadingOverlap(cues[i].lines, cues[i - 1].lines) === cues[i].lines.length;
+  const rolling = wordTimings || cues.some((_, i) => isHold(i));
+
+  /** @type {TranscriptSegment[]} */
+  const segments = [];
+  cues.forEach(({ start, end, lines }, i) => {
+    const last = segments[segments.length - 1];
+    if (rolling && last && isHold(i)) {
+      last.duration = roundMs(Math.max(last.duration, end - last.start));
+      return;
+    }
+    const overlap = rolling && i > 0 ? leadingOverlap(lines, cues[i - 1].lines) : 0;
+    const fresh = overlap < lines.length ? lines.slice(overlap) : lines;
+    segments.push({ text: fresh.join(" "), start: roundMs(start), duration: roundMs(end - start) });
+  });
+  return segments;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {number} Rounded to whole milliseconds, dropping float noise like 2.0099999
+ */
+function roundMs(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Extract a JSON object from a string starting at `{` using brace counting.
+ * @param {string} str
+ * @param {number} startIdx - Index of the opening brace
+ * @returns {string | null}
+ */
+export function extractJsonObject(str, startIdx) {
+  if (str[startIdx] !== "{") return null;
+  let depth = 0;
+  for (let i = startIdx; i < str.length; i++) {
+    if (str[i] === "{") depth++;
+    else if (str[i] === "}") depth--;
+    if (depth === 0) return str.substring(startIdx, i + 1);
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} FetchTranscriptOptions
+ * @property {string[]} [languages] - Caption language priority, e.g. ["es", "de", "en"] (default ["en"])
+ * @property {TrackPolicy} [trackPolicy] - Manual vs auto-generated ranking (default "prefer-manual")
+ * @property {string} [translateTo] - Have YouTube machine-translate the chosen track into this language (`tlang`)
+ * @property {CaptionFormat} [captionFormat] - Caption format to request from YouTube (default: what the track URL
+ *   gives, usually srv3; yt-dlp prefers srv1)
+ * @property {StrategyName[]} [strategies] - Strategies to try, in order (default DEFAULT_STRATEGIES)
+ * @property {number} [hedgeDelayMs] - Hedged mode: start the next strategy after this many milliseconds
+ *   instead of waiting for the current one to fail
+ * @property {AbortSignal} [signal] - Cancels the fetch: every running strategy stops its requests and
+ *   fetchTranscript rejects with the signal's reason
+ */
+
+export const DEFAULT_LANGUAGES = ["en"];
+
+/** @type {TrackPolicy[]} */
+export const TRACK_POLICIES = ["prefer-manual", "prefer-asr", "manual-only"];
+
+/**
+ * Parse a comma-separated language list such as "es, de,en". Returns DEFAULT_LANGUAGES when empty.
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+export function parseLanguageList(value) {
+  const languages = (value || "")
+    .split(",")
+    .map((l) => l.trim())
+    .filter(Boolean);
+  return languages.length > 0 ? languages : DEFAULT_LANGUAGES;
+}
+
+/**
+ * Whether a language code matches a requested language: exact match, or a regional
+ * variant of it ("en" matches "en-GB"). Case-insensitive.
+ * @param {string} code
+ * @param {string} wanted
+ * @returns {boolean}
+ */
+export function matchesLanguage(code, wanted) {
+  const c = code.toLowerCase();
+  const w = wanted.toLowerCase();
+  return c === w || c.startsWith(`${w}-`);
+}
+
+/**
+ * @param {{ kind?: string }} track
+ * @returns {TrackKind}
+ */
+export function trackKind(track) {
+  return track.kind === "asr" ? "asr" : "manual";
+}
+
+/**
+ * Order tracks by kind according to `policy`, keeping the original order within each kind.
+ * "manual-only" drops auto-generated tracks entirely.
+ * @template {{ kind?: string }} T
+ * @param {T[]} tracks
+ * @param {TrackPolicy} [policy]
+ * @returns {T[]}
+ */
+export function rankTracks(tracks, policy = "prefer-manual") {
+  const manual = tracks.filter((t) => trackKind(t) === "manual");
+  const asr = tracks.filter((t) => trackKind(t) === "asr");
+  if (policy === "manual-only") return manual;
+  return policy === "prefer-asr" ? [...asr, ...manual] : [...manual, ...asr];
+}
+
+/**
+ * Pick the best caption track: language priority comes first, then `policy` decides
+ * between manual and auto-generated tracks of that language. Falls back to the best-ranked
+ * track in any language; returns undefined only when `policy` rules out every track.
+ * @template {{ languageCode: string, kind?: string }} T
+ * @param {T[]} tracks
+ * @param {string[]} [languages]
+ * @param {TrackPolicy} [policy]
+ * @returns {T | undefined}
+ */
+export function pickTrack(tracks, languages = DEFAULT_LANGUAGES, policy = "prefer-manual") {
+  const ranked = rankTracks(tracks, policy);
+  for (const wanted of languages) {
+    const track = ranked.find((t) => matchesLanguage(t.languageCode, wanted));
+    if (track) return track;
+  }
+  return ranked[0];
+}
+
+/**
+ * Pick the best caption track's URL (see pickTrack).
+ * @param {CaptionTrack[]} tracks
+ * @param {string[]} [languages]
+ * @param {TrackPolicy} [policy]
+ * @returns {string | undefined} The track's baseUrl
+ */
+export function pickTrackUrl(tracks, languages = DEFAULT_LANGUAGES, policy = "prefer-manual") {
+  return pickTrack(tracks, languages, policy)?.baseUrl;
+}
+
+/**
+ * Summarize a caption track for listing.
+ * @param {CaptionTrack} track
+ * @returns {CaptionTrackInfo}
+ */
+export function describeCaptionTrack(track) {
+  const name = track.name?.simpleText ?? (track.name?.runs || []).map((r) => r.text).join("");
+  return {
+    languageCode: track.languageCode,
+    name: name || track.languageCode,
+    kind: trackKind(track),
+  };
+}
+
+/**
+ * Parse the JSON object assigned to `name` in watch-page HTML (e.g. `var ytInitialData = {...};`).
+ * @param {string} html
+ * @param {string} name
+ * @returns {any} The parsed object, or null when absent or malformed
+ */
+export function extractAssignedJson(html, name) {
+  const marker = html.match(new RegExp(`${name}\\s*=\\s*\\{`));
+  if (!marker || marker.index === undefined) return null;
+  // Find the object and extract full JSON via brace counting
+  const jsonStr = extractJsonObject(html, html.indexOf("{", marker.index));
+  if (!jsonStr) return null;
+  try {
+    return JSON.parse(jsonStr);
+  } catch {
+    // Parse failed
+    return null;
+  }
+}
+
+/**
+ * Find the caption tracklist in watch-page HTML: ytInitialPlayerResponse first, then a bare "captions": object.
+ * @param {string} html
+ * @returns {CaptionTracklist | null}
+ */
+export function extractCaptionTracklistFromHtml(html) {
+  /** @type {CaptionTracklist | undefined} */
+  const tracklist = extractAssignedJson(html, "ytInitialPlayerResponse")?.captions?.playerCaptionsTracklistRenderer;
+  if (tracklist?.captionTracks?.length) return tracklist;
+
+  // Fallback: split on "captions":
+  const parts = html.split('"captions":');
+  if (parts.length > 1) {
+    const braceIdx = parts[1].indexOf("{");
+    if (braceIdx !== -1) {
+      const captionsJson = extractJsonObject(parts[1], braceIdx);
+      if (captionsJson) {
+        try {
+          const obj = JSON.parse(captionsJson);
+          /** @type {CaptionTracklist | undefined} */
+          const tracklist = obj?.playerCaptionsTracklistRenderer;
+          if (tracklist?.captionTracks?.length) return tracklist;
+        } catch {
+          // Parse failed
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// ── Chapters ────────────────────────────────────────────────────────────────
+
+/**
+ * Convert "H:MM:SS", "MM:SS" or "M:SS" to seconds.
+ * @param {string} clock
+ * @returns {number}
+ */
+export function parseClock(clock) {
+  return clock.split(":").reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Parse chapters from description timestamps ("0:00 Intro", "01:23 - Setup", "1:02:03 Outro").
+ * Follows YouTube's own rules: the first chapter starts at 0:00, there are at least three,
+ * and they are in ascending order — otherwise the description has no chapters.
+ * @param {string} description
+ * @returns {ChapterMarker[]}
+ */
+export function parseDescriptionChapters(description) {
+  /** @type {ChapterMarker[]} */
+  const chapters = [];
+  for (const line of description.split("\n")) {
+    const m = line.match(/^\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*(?:[-–—:|]\s*)?(\S.*?)\s*$/);
+    if (m) chapters.push({ title: m[2], start: parseClock(m[1]) });
+  }
+  if (chapters.length < 3 || chapters[0].start !== 0) return [];
+  for (let i = 1; i < chapters.length; i++) {
+    if (chapters[i].start <= chapters[i - 1].start) return [];
+  }
+  return chapters;
+}
+
+/**
+ * Depth-first search for the first value stored under `key` anywhere in `obj`.
+ * @param {unknown} obj
+ * @param {string} key
+ * @returns {any}
+ */
+function findKey(obj, key) {
+  if (!obj || typeof obj !== "object") return undefined;
+  if (key in obj) return /** @type {Record<string, unknown>} */ (obj)[key];
+  for (const value of Object.values(obj)) {
+    const found = findKey(value, key);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+/**
+ * Read the player bar's chapter markers from the watch page's ytInitialData
+ * (creator chapters and YouTube's auto-generated ones).
+ * @param {string} html
+ * @returns {ChapterMarker[]}
+ */
+export function extractChaptersFromHtml(html) {
+  /** @type {Array<{ value?: { chapters?: Array<{ chapterRenderer?: { title?: { simpleText?: string }, timeRangeStartMillis?: number } }> } }> | undefined} */
+  const markersMap = findKey(extractAssignedJson(html, "ytInitialData"), "markersMap");
+  const entry = (markersMap || []).find((m) => m.value?.chapters?.length);
+  return (entry?.value?.chapters || [])
+    .map((c) => c.chapterRenderer)
+    .filter((c) => c?.title?.simpleText && typeof c.timeRangeStartMillis === "number")
+    .map((c) => ({ title: c?.title?.simpleText || "", start: (c?.timeRangeStartMillis || 0) / 1000 }));
+}
+
+/**
+ * Give each chapter an end: the next chapter's start, or the end of the last segment.
+ * @param {ChapterMarker[]} markers
+ * @param {TranscriptSegment[]} segments
+ * @returns {Chapter[]}
+ */
+export function closeChapters(markers, segments) {
+  const last = segments[segments.length - 1];
+  const transcriptEnd = last ? last.start + last.duration : 0;
+  return markers.map((c, i) => ({
+    title: c.title,
+    start: c.start,
+    end: i + 1 < markers.length ? markers[i + 1].start : Math.max(transcriptEnd, c.start),
+  }));
+}
+
+// ── Metadata ────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize a player response's `videoDetails`. InnerTube sends the numbers as strings.
+ * @param {any} details
+ * @returns {VideoMetadata | undefined} undefined when `details` is missing
+ */
+export function parseVideoDetails(details) {
+  if (!details || typeof details !== "object") return undefined;
+  return {
+    author: String(details.author || ""),
+    channelId: String(details.channelId || ""),
+    lengthSeconds: Number(details.lengthSeconds) || 0,
+    viewCount: Number(details.viewCount) || 0,
+    description: String(details.shortDescription || ""),
+    keywords: Array.isArray(details.keywords) ? details.keywords.map(String) : [],
+  };
+}
+
+// ── Caption selection ───────────────────────────────────────────────────────
+
+/**
+ * Add YouTube's `tlang` parameter to a caption URL so the server machine-translates it.
+ * @param {string} url
+ * @param {string} language
+ * @returns {string}
+ */
+export function withTranslation(url, language) {
+  const u = new URL(url);
+  u.searchParams.set("tlang", language);
+  return u.toString();
+}
+
+/**
+ * Resolve a requested translation target against the languages the video offers.
+ * @param {string[]} available - Language codes from `translationLanguages`
+ * @param {string} target
+ * @returns {string} The matching language code as YouTube spells it
+ * @throws {NoCaptionsError} When the video cannot be translated into `target` (code TRANSLATION_UNAVAILABLE)
+ */
+export function resolveTranslationLanguage(available, target) {
+  const match = available.find((code) => code.toLowerCase() === target.toLowerCase());
+  if (match) return match;
+  const code = "TRANSLATION_UNAVAILABLE";
+  if (available.length === 0) {
+    throw new NoCaptionsError(`Cannot translate to "${target}": video offers no translations`, { code });
+  }
+  throw new NoCaptionsError(
+    `Cannot translate to "${target}": not in the video's translation languages (${available.join(", ")})`,
+    { code },
+  );
+}
+
+/**
+ * Choose the caption track for `options` from a tracklist and build its URL,
+ * adding `tlang` when `options.translateTo` is set.
+ * @param {CaptionTracklist} tracklist
+ * @param {FetchTranscriptOptions} [options]
+ * @returns {{ url: string, language: string, kind: TrackKind, translatedFrom?: string }}
+ * @throws {NoCaptionsError} When no track is left to choose
+ */
+export function selectCaptionTrack(tracklist, options = {}) {
+  const track = pickTrack(tracklist.captionTracks, options.languages, options.trackPolicy);
+  if (!track) {
+    // manual-only is the one policy that can rank an existing track away
+    const filtered = options.trackPolicy === "manual-only" && tracklist.captionTracks.length > 0;
+    throw new NoCaptionsError(filtered ? "No manual caption tracks" : "Video has no caption tracks");
+  }
+  const kind = trackKind(track);
+  if (!options.translateTo) return { url: track.baseUrl, language: track.languageCode, kind };
+
+  const available = (tracklist.translationLanguages || []).map((l) => l.languageCode);
+  const language = resolveTranslationLanguage(available, options.translateTo);
+  if (track.isTranslatable === false) {
+    throw new NoCaptionsError(`Caption track "${track.languageCode}" is not translatable`, {
+      code: "TRANSLATION_UNAVAILABLE",
+    });
+  }
+  return { url: withTranslation(track.baseUrl, language), language, kind, translatedFrom: track.languageCode };
+}
+
+// ── Strategies ──────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} StrategyResult
+ * @property {TranscriptSegment[]} segments
+ * @property {string} language
+ * @property {TrackKind} kind
+ * @property {string} [translatedFrom]
+ * @property {ChapterMarker[]} [chapters]
+ * @property {VideoMetadata} [metadata]
+ */
+
+/**
+ * Fetch and parse a caption track URL: timedtext XML (srv1/srv2/srv3), json3, WebVTT or SRT.
+ * @param {string} url
+ * @param {string} [ua]
+ * @param {AbortSignal} [signal]
+ * @param {CaptionFormat} [format] - Request this `fmt` instead of the URL's own
+ * @returns {Promise<TranscriptSegment[]>}
+ * @throws {NoCaptionsError} When the track is empty or has no captions this can parse
+ */
+export async function fetchCaptionTrack(url, ua = WEB_UA, signal, format) {
+  const response = await httpFetch(format ? withCaptionFormat(url, format) : url, {
+    headers: { "User-Agent": ua },
+    signal,
+  });
+  if (!response.ok) throw httpStatusError("Caption track", response.status);
+  const body = await response.text();
+  if (!body || body.length === 0) throw new NoCaptionsError("Caption track returned empty response");
+  const segments = parseCaptions(body);
+  if (segments.length === 0) {
+    throw new NoCaptionsError(`Could not parse caption ${detectCaptionFormat(body).toUpperCase()}`);
+  }
+  return segments;
+}
+
+/**
+ * Fetch the player response from the InnerTube ANDROID player endpoint.
+ * @param {string} videoId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+export async function fetchAndroidPlayerResponse(videoId, signal) {
+  const response = await httpFetch("https://www.youtube.com/youtubei/v1/player?prettyPrint=false", {
+    signal,
+    method: "POST",
+    headers: { "Content-Type": "application/json", "User-Agent": ANDROID_UA },
+    body: JSON.stringify({
+      context: {
+        client: {
+          clientName: "ANDROID",
+          clientVersion: "19.09.37",
+          androidSdkVersion: 31,
+          hl: "en",
+          gl: "US",
+          userAgent: ANDROID_UA,
+        },
+      },
+      videoId,
+      contentCheckOk: true,
+      racyCheckOk: true,
+    }),
+  });
+  if (!response.ok) throw httpStatusError("ANDROID API", response.status);
+  return await response.json();
+}
+
+/**
+ * Fetch the caption tracklist from the InnerTube ANDROID player endpoint.
+ * @param {string} videoId
+ * @returns {Promise<CaptionTracklist>}
+ */
+export async function fetchAndroidCaptionTracklist(videoId) {
+  return androidCaptionTracklist(await fetchAndroidPlayerResponse(videoId));
+}
+
+/**
+ * A missing tracklist is explained by the response's playabilityStatus when the video can't be
+ * played (private, removed, age-gated, bot check); otherwise the video has no captions.
+ * @param {any} data - ANDROID player response
+ * @returns {CaptionTracklist}
+ */
+function androidCaptionTracklist(data) {
+  const tracklist = data?.captions?.playerCaptionsTracklistRenderer;
+  if (tracklist?.captionTracks?.length) return tracklist;
+  const unplayable = classifyPlayability(data?.playabilityStatus);
+  if (unplayable) throw unplayable;
+  if (!data?.captions) throw new NoCaptionsError("ANDROID: no captions in response");
+  if (!tracklist) throw new NoCaptionsError("ANDROID: no caption tracklist");
+  throw new NoCaptionsError("ANDROID: no caption tracks");
+}
+
+/**
+ * Fetch the watch page HTML.
+ * @param {string} videoId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<string>}
+ */
+export async function fetchWatchPage(videoId, signal) {
+  const response = await httpFetch(`https://www.youtube.com/watch?v=${videoId}`, {
+    signal,
+    headers: { "User-Agent": WEB_UA, "Accept-Language": "en-US,en;q=0.9" },
+  });
+  if (!response.ok) throw httpStatusError("YouTube page", response.status);
+
+  const html = await response.text();
+  if (html.includes('class="g-recaptcha"')) throw new RateLimitedError("Rate limited (captcha)");
+  return html;
+}
+
+/**
+ * Fetch the caption tracklist embedded in the watch page.
+ * @param {string} videoId
+ * @returns {Promise<CaptionTracklist>}
+ */
+export async function fetchPageCaptionTracklist(videoId) {
+  return pageCaptionTracklist(await fetchWatchPage(videoId));
+}
+
+/**
+ * Like androidCaptionTracklist, classifies a missing tracklist by the page's playabilityStatus.
+ * @param {string} html - Watch page
+ * @returns {CaptionTracklist}
+ */
+function pageCaptionTracklist(html) {
+  const tracklist = extractCaptionTracklistFromHtml(html);
+  if (tracklist) return tracklist;
+
+  if (!html.includes('"playabilityStatus":')) throw new VideoUnavailableError("Video is unavailable");
+  const player = extractAssignedJson(html, "ytInitialPlayerResponse");
+  const unplayable = classifyPlayability(player?.playabilityStatus);
+  if (unplayable) throw unplayable;
+  if (player) throw new NoCaptionsError("Video has no captions");
+  throw new Error("Could not extract captions from page");
+}
+
+/**
+ * Strategy 1: InnerTube ANDROID client (most reliable — bypasses web restrictions).
+ * @param {string} videoId
+ * @param {FetchTranscriptOptions} [options]
+ * @returns {Promise<StrategyResult>}
+ */
+export async function fetchTranscriptFromAndroid(videoId, options = {}) {
+  const data = await fetchAndroidPlayerResponse(videoId, options.signal);
+  const { url, ...track } = selectCaptionTrack(androidCaptionTracklist(data), options);
+  const segments = await fetchCaptionTrack(url, ANDROID_UA, options.signal, options.captionFormat);
+  const chapters = parseDescriptionChapters(data.videoDetails?.shortDescription || "");
+  return { segments, ...track, chapters, metadata: parseVideoDetails(data.videoDetails) };
+}
+
+/**
+ * Strategy 2: scrape the watch page for ytInitialPlayerResponse. Chapters come from the
+ * page's chapter markers, falling back to description timestamps.
+ * @param {string} videoId
+ * @param {FetchTranscriptOptions} [options]
+ * @returns {Promise<StrategyResult>}
+ */
+export async function fetchTranscriptFromPage(videoId, options = {}) {
+  const html = await fetchWatchPage(videoId, options.signal);
+  const { url, ...track } = selectCaptionTrack(pageCaptionTracklist(html), options);
+  const segments = await fetchCaptionTrack(url, WEB_UA, options.signal, options.captionFormat);
+  const metadata = parseVideoDetails(extractAssignedJson(html, "ytInitialPlayerResponse")?.videoDetails);
+  const markers = extractChaptersFromHtml(html);
+  const chapters = markers.length > 0 ? markers : parseDescriptionChapters(metadata?.description || "");
+  return { segments, ...track, chapters, metadata };
+}
+
+/**
+ * List every caption track the video exposes (ANDROID InnerTube, falling back to the watch page).
+ * @param {string} videoId
+ * @returns {Promise<CaptionTrackInfo[]>}
+ * @throws {AllStrategiesFailedError} When neither source lists any tracks
+ */
+export async function listCaptionTracks(videoId) {
+  let tracklist;
+  try {
+    tracklist = await fetchAndroidCaptionTracklist(videoId);
+  } catch (e) {
+    try {
+      tracklist = await fetchPageCaptionTracklist(videoId);
+    } catch (pageError) {
+      throw new AllStrategiesFailedError(
+        [toStrategyFailure("ANDROID API", e), toStrategyFailure("Page scraping", pageError)],
+        "No caption tracks found:",
+      );
+    }
+  }
+  return tracklist.captionTracks.map(describeCaptionTrack);
+}
+
+/**
+ * Strategy 3: yt-dlp fallback (requires yt-dlp; see ./ytdlp.mjs for its path and extra arguments).
+ * yt-dlp only reads the video info; the chosen subtitle URL is fetched like any other caption track.
+ * @param {string} videoId - Must already be validated by extractVideoId
+ * @param {FetchTranscriptOptions} [options]
+ * @returns {Promise<StrategyResult>}
+ */
+export async function fetchTranscriptFromYtDlp(videoId, options = {}) {
+  // The -- prevents the URL from being interpreted as flags
+  const result = await runYtDlp(
+    ["--skip-download", "--dump-json", "--", `https://www.youtube.com/watch?v=${videoId}`],
+    {
+      signal: options.signal,
+    },
+  );
+
+  /**
+   * @type {{
+   *   subtitles?: Record<string, Array<{ url: string, ext: string }>>,
+   *   automatic_captions?: Record<string, Array<{ url: string, ext: string }>>,
+   *   chapters?: Array<{ title: string, start_time: number }> | null,
+   *   channel?: string, uploader?: string, channel_id?: string, duration?: number,
+   *   view_count?: number, description?: string, tags?: string[] | null,
+   * }}
+   */
+  const info = JSON.parse(result);
+  const chapters = (info.chapters || []).map((c) => ({ title: c.title, start: c.start_time }));
+  // Map yt-dlp's field names onto the videoDetails shape
+  const metadata = parseVideoDetails({
+    author: info.channel || info.uploader,
+    channelId: info.channel_id,
+    lengthSeconds: info.duration,
+    viewCount: info.view_count,
+    shortDescription: info.description,
+    keywords: info.tags || [],
+  });
+  const subs = info.subtitles || {};
+  const autoCaps = info.automatic_captions || {};
+
+  // Treat each subtitle language as a track so the same language/kind ranking applies
+  /** @type {Array<{ languageCode: string, kind: TrackKind, formats: Array<{ url: string, ext: string }> }>} */
+  const candidates = [
+    ...Object.entries(subs).map(([languageCode, formats]) => ({ languageCode, kind: "manual", formats })),
+    ...Object.entries(autoCaps).map(([languageCode, formats]) => ({ languageCode, kind: "asr", formats })),
+  ];
+  const picked = pickTrack(candidates, options.languages, options.trackPolicy);
+  const subSource = picked?.formats;
+  if (!picked || !subSource || subSource.length === 0) throw new NoCaptionsError("yt-dlp: no subtitle sources found");
+  const { languageCode, kind } = picked;
+
+  // The requested format if listed, else srv1 (one line per segment), then srv2, srv3, json3, vtt
+  const preference = options.captionFormat ? [options.captionFormat, ...CAPTION_FORMATS] : CAPTION_FORMATS;
+  const track = preference.map((ext) => subSource.find((s) => s.ext === ext)).find(Boolean) || subSource[0];
+  if (!track?.url) throw new Error("yt-dlp: no subtitle track URL");
+
+  // yt-dlp lists every machine-translation target as an automatic_captions language
+  const target = options.translateTo && resolveTranslationLanguage(Object.keys(autoCaps), options.translateTo);
+  const { url, ...selection } = target
+    ? { url: withTranslation(track.url, target), language: target, kind, translatedFrom: languageCode }
+    : { url: track.url, language: languageCode, kind };
+
+  const segments = await fetchCaptionTrack(url, WEB_UA, options.signal, options.captionFormat);
+  return { segments, ...selection, chapters, metadata };
+}
+
+/**
+ * Fetch the video title using YouTube's oEmbed API. Never throws.
+ * @param {string} videoId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<string>}
+ */
+export async function fetchVideoTitle(videoId, signal) {
+  try {
+    const response = await httpFetch(
+      `https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`,
+      { signal },
+    );
+    if (response.ok) {
+      const data = await response.json();
+      return data.title || `YouTube Video ${videoId}`;
+    }
+  } catch {
+    // Fallback
+  }
+  return `YouTube Video ${videoId}`;
+}
+
+// ── Strategy registry ───────────────────────────────────────────────────────
+
+/**
+ * A way of getting a transcript. Register one with registerStrategy to make it selectable by name.
+ * @typedef {object} TranscriptStrategy
+ * @property {StrategyName} name - Identifier used in `strategies` and the result's `method`
+ * @property {string} label - Prefix for this strategy's errors, e.g. "ANDROID API"
+ * @property {(videoId: string, options: FetchTranscriptOptions) => Promise<StrategyResult> | StrategyResult} fetch -
+ *   Throws when it can't produce segments; should stop its requests when `options.signal` aborts
+ */
+
+/** @type {Map<StrategyName, TranscriptStrategy>} */
+const strategyRegistry = new Map();
+
+/**
+ * Add a strategy, or replace the one registered under the same name.
+ * @param {TranscriptStrategy} strategy
+ */
+export function registerStrategy(strategy) {
+  if (!strategy?.name || typeof strategy.fetch !== "function") {
+    throw new Error("A strategy needs a name and a fetch function");
+  }
+  strategyRegistry.set(strategy.name, { ...strategy, label: strategy.label || strategy.name });
+}
+
+/**
+ * Names of the registered strategies, in registration order.
+ * @returns {StrategyName[]}
+ */
+export function listStrategies() {
+  return [...strategyRegistry.keys()];
+}
+
+/**
+ * Look up strategies by name, keeping the given order.
+ * @param {StrategyName[]} names
+ * @returns {TranscriptStrategy[]}
+ * @throws {Error} For names nobody registered
+ */
+export function resolveStrategies(names) {
+  return names.map((name) => {
+    const strategy = strategyRegistry.get(name);
+    if (!strategy) throw new Error(`Unknown strategy: ${name} (available: ${listStrategies().join(", ")})`);
+    return strategy;
+  });
+}
+
+// ANDROID InnerTube API first (fastest, most reliable), then HTML page scraping, then yt-dlp
+registerStrategy({ name: "android", label: "ANDROID API", fetch: fetchTranscriptFromAndroid });
+registerStrategy({ name: "page", label: "Page scraping", fetch: fetchTranscriptFromPage });
+registerStrategy({ name: "yt-dlp", label: "yt-dlp", fetch: fetchTranscriptFromYtDlp });
+
+/** @type {StrategyName[]} */
+export const DEFAULT_STRATEGIES = ["android", "page", "yt-dlp"];
+
+/**
+ * Run strategies until one returns segments. Each starts when the previous one fails or, in
+ * hedged mode, once `hedgeDelayMs` has passed without a winner. The first non-empty result
+ * wins and the strategies still running are aborted. Aborting `options.signal` aborts them all.
+ * @param {string} videoId
+ * @param {TranscriptStrategy[]} strategies
+ * @param {FetchTranscriptOptions} options
+ * @param {number} [hedgeDelayMs] - Omit for sequential fallback
+ * @returns {Promise<{ strategy: TranscriptStrategy, found: StrategyResult, attempts: StrategyAttempt[], errors: StrategyFailure[] }>}
+ * @throws {AllStrategiesFailedError} When every strategy fails; `failures` lists each strategy's error
+ * @throws {unknown} The abort reason when `options.signal` aborts first
+ */
+export function runStrategies(videoId, strategies, options, hedgeDelayMs) {
+  return new Promise((resolve, reject) => {
+    /** @type {Array<{ controller: AbortController, started: number }>} */
+    const running = [];
+    /** @type {Array<StrategyAttempt | undefined>} */
+    const attempts = [];
+    /** @type {Array<StrategyFailure | undefined>} */
+    const errors = [];
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    let hedgeTimer;
+    let next = 0;
+    let inFlight = 0;
+    let settled = false;
+
+    const elapsed = (/** @type {number} */ i) => Math.round(performance.now() - running[i].started);
+    const report = () => ({
+      attempts: attempts.filter((a) => a !== undefined),
+      errors: errors.filter((e) => e !== undefined),
+    });
+
+    const launch = () => {
+      clearTimeout(hedgeTimer);
+      if (settled || next >= strategies.length) return;
+      const i = next++;
+      const strategy = strategies[i];
+      const controller = new AbortController();
+      const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+      running[i] = { controller, started: performance.now() };
+      inFlight++;
+      if (hedgeDelayMs !== undefined && next < strategies.length) hedgeTimer = setTimeout(launch, hedgeDelayMs);
+
+      Promise.resolve()
+        .then(() => strategy.fetch(videoId, { ...options, signal }))
+        .then((found) => {
+          if (!found?.segments?.length) throw new NoCaptionsError("returned no segments");
+          if (settled) return;
+          settled = true;
+          clearTimeout(hedgeTimer);
+          attempts[i] = { strategy: strategy.name, status: "won", ms: elapsed(i) };
+          running.forEach(({ controller }, j) => {
+            if (j === i || attempts[j]) return;
+            attempts[j] = { strategy: strategies[j].name, status: "aborted", ms: elapsed(j) };
+            controller.abort();
+          });
+          options.signal?.removeEventListener("abort", cancel);
+          resolve({ strategy, found, ...report() });
+        })
+        .catch((e) => {
+          inFlight--;
+          if (settled) return;
+          attempts[i] = { strategy: strategy.name, status: "failed", ms: elapsed(i) };
+          errors[i] = toStrategyFailure(strategy.label, e);
+          if (next < strategies.length) {
+            launch();
+          } else if (inFlight === 0) {
+            settled = true;
+            options.signal?.removeEventListener("abort", cancel);
+            reject(new AllStrategiesFailedError(report().errors));
+          }
+        });
+    };
+
+    // The caller gave up: stop launching, let the linked signals abort the running strategies
+    const cancel = () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(hedgeTimer);
+      reject(options.signal?.reason);
+    };
+    if (options.signal?.aborted) return cancel();
+    options.signal?.addEventListener("abort", cancel, { once: true });
+    launch();
+  });
+}
+
+/**
+ * Fetch a transcript, trying each strategy in `options.strategies` (default ANDROID InnerTube
+ * → page scraping → yt-dlp) until one succeeds — one after another, or overlapping when
+ * `options.hedgeDelayMs` is set.
+ * @param {string} videoId - Validated video ID (see extractVideoId)
+ * @param {FetchTranscriptOptions} [options]
+ * @returns {Promise<TranscriptResult>}
+ * @throws {Error} When no strategies are given or a strategy name is unknown
+ * @throws {AllStrategiesFailedError} When every strategy fails; its `code` tells why (see ./errors.mjs)
+ */
+export async function fetchTranscript(videoId, options = {}) {
+  const strategies = resolveStrategies(options.strategies || DEFAULT_STRATEGIES);
+  if (strategies.length === 0) throw new Error("No transcript available: no fetch strategies enabled");
+  const titlePromise = fetchVideoTitle(videoId, options.signal);
+  const { strategy, found, attempts, errors } = await runStrategies(videoId, strategies, options, options.hedgeDelayMs);
+  const { chapters, metadata, ...rest } = found;
+  return {
+    videoId,
+    title: await titlePromise,
+    method: strategy.name,
+    ...rest,
+    chapters: closeChapters(chapters || [], rest.segments),
+    attempts,
+    metadata: metadata || null,
+    errors,
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * FastyTranscript notes vault — saves transcripts as Markdown notes (for Obsidian, Logseq and the
+ * like) with templated filenames and bodies, YAML front matter, collision handling and optional
+ * per-channel subfolders.
+ */
+
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+import { formatFrontMatter, formatTranscriptText } from "./formats.mjs";
+import { formatTranscriptMarkdown, sanitizeFilename } from "./parsers.mjs";
+
+/** @typedef {import("./transcript.mjs").TranscriptResult} TranscriptResult */
+
+/**
+ * What to do when a note's file already exists: write `name-2.md` (then -3, …) next to it,
+ * replace it, or leave it and skip the note.
+ * @typedef {"suffix" | "overwrite" | "skip"} CollisionMode
+ */
+
+/** @type {CollisionMode[]} */
+export const COLLISION_MODES = ["suffix", "overwrite", "skip"];
+
+export const DEFAULT_FILENAME_TEMPLATE = "{title}";
+
+/** The classic FastyTranscript note: title heading, URL, then the transcript. */
+export const DEFAULT_NOTE_TEMPLATE = formatTranscriptMarkdown("{title}", "{videoId}", "{transcript}");
+
+/**
+ * Values for `{placeholder}`s in the filename and note templates.
+ * @typedef {object} NoteFields
+ * @property {string} title
+ * @property {string} channel - Empty when the strategy gave no metadata
+ * @property {string} date - Day the note is written, YYYY-MM-DD in local time
+ * @property {string} videoId
+ * @property {string} url
+ * @property {string} transcript - Markdown transcript text, with chapter headings
+ */
+
+/**
+ * @typedef {object} NoteOptions
+ * @property {string} [filenameTemplate] - Default "{title}"; ".md" is appended
+ * @property {string} [template] - Note body (default DEFAULT_NOTE_TEMPLATE)
+ * @property {boolean} [frontMatter] - Start the note with YAML front matter (default true)
+ * @property {CollisionMode} [collision] - Default "suffix"
+ * @property {boolean} [byChannel] - Put each note in a subfolder named after its channel
+ * @property {boolean} [timestamps]
+ * @property {boolean} [reflow]
+ * @property {boolean} [chapters]
+ * @property {Date} [now]
+ */
+
+/**
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD in local time
+ */
+function localDate(date) {
+  const pad = (/** @type {number} */ n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {TranscriptResult} result
+ * @param {NoteOptions} [options]
+ * @returns {NoteFields}
+ */
+export function noteFields(result, options = {}) {
+  const { timestamps, reflow, chapters, now = new Date() } = options;
+  return {
+    title: result.title,
+    channel: result.metadata?.author || "",
+    date: localDate(now),
+    videoId: result.videoId,
+    url: `https://youtube.com/watch?v=${result.videoId}`,
+    transcript: formatTranscriptText(result, "md", { timestamps, reflow, chapters }),
+  };
+}
+
+/**
+ * Replace `{title}`, `{channel}`, `{date}`, `{videoId}`, `{url}` and `{transcript}` in one pass,
+ * so placeholders inside the values stay as they are. Unknown placeholders are kept.
+ * @param {string} template
+ * @param {Record<string, string>} fields
+ * @returns {string}
+ */
+export function fillTemplate(template, fields) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(fields, name) ? fields[name] : match));
+}
+
+/**
+ * Note filename from the template. Each value goes through sanitizeFilename; the template's own
+ * text only loses characters no filesystem allows. An empty name falls back to the video ID.
+ * @param {string} template
+ * @param {NoteFields} fields
+ * @returns {string} Name with the .md extension
+ */
+export function noteFilename(template, fields) {
+  const safe = Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, sanitizeFilename(v)]));
+  const name = fillTemplate(template, safe)
+    .replace(/[/\\:*?"<>|]/g, "")
+    .trim();
+  return `${name || fields.videoId}.md`;
+}
+
+/**
+ * The note's content: front matter (unless turned off) followed by the filled body template.
+ * @param {TranscriptResult} result
+ * @param {NoteOptions} [options]
+ * @returns {string}
+ */
+export function formatNote(result, options = {}) {
+  return noteContent(result, noteFields(result, options), options);
+}
+
+/**
+ * @param {TranscriptResult} result
+ * @param {NoteFields} fields
+ * @param {NoteOptions} options
+ * @returns {string}
+ */
+function noteContent(result, fields, options) {
+  const body = fillTemplate(options.template ?? DEFAULT_NOTE_TEMPLATE, fields);
+  if (options.frontMatter === false) return body;
+  return `${formatFrontMatter(result.videoId, result.title, result.metadata, fields.date)}\n\n${body}`;
+}
+
+/**
+ * @param {unknown} e
+ * @returns {boolean}
+ */
+function isExists(e) {
+  return e instanceof Error && "code" in e && e.code === "EEXIST";
+}
+
+/**
+ * Write a transcript as a note into `dir` (or its channel subfolder).
+ * @param {string} dir - Vault folder
+ * @param {TranscriptResult} result
+ * @param {NoteOptions} [options]
+ * @returns {Promise<{ file: string, status: "created" | "overwritten" | "skipped" }>} `file` is the
+ *   existing note when skipped
+ */
+export async function saveNote(dir, result, options = {}) {
+  const { collision = "suffix", byChannel = false, filenameTemplate = DEFAULT_FILENAME_TEMPLATE } = options;
+  const fields = noteFields(result, options);
+  const folder = byChannel ? join(dir, sanitizeFilename(fields.channel) || "Unknown_Channel") : dir;
+  await mkdir(folder, { recursive: true });
+  const name = noteFilename(filenameTemplate, fields);
+  const content = noteContent(result, fields, options);
+  const file = join(folder, name);
+
+  if (collision === "overwrite") {
+    try {
+      await writeFile(file, content, { flag: "wx" });
+      return { file, status: "created" };
+    } catch (e) {
+      if (!isExists(e)) throw e;
+      await writeFile(file, content);
+      return { file, status: "overwritten" };
+    }
+  }
+  // Exclusive creates, so two saves racing for a name can't overwrite each other
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? file : join(folder, name.replace(/\.md$/, `-${n}.md`));
+    try {
+      await writeFile(candidate, content, { flag: "wx" });
+      return { file: candidate, status: "created" };
+    } catch (e) {
+      if (!isExists(e)) throw e;
+      if (collision === "skip") return { file, status: "skipped" };
+    }
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * FastyTranscript yt-dlp runner — spawns yt-dlp as an async child process (no shell), collects
+ * its stdout, streams its stderr for diagnostics and kills it when the fetch is cancelled.
+ */
+
+import { spawn } from "child_process";
+import {
+  AgeRestrictedError,
+  NetworkError,
+  RateLimitedError,
+  TranscriptError,
+  VideoUnavailableError,
+} from "./errors.mjs";
+
+/**
+ * @typedef {object} YtDlpOptions
+ * @property {string} [path] - yt-dlp executable; a bare name is looked up on PATH
+ * @property {string[]} [extraArgs] - Passed before every command's own arguments
+ * @property {string | null} [proxy] - Passed as `--proxy`
+ * @property {string | null} [cookiesFile] - Netscape cookies.txt, passed as `--cookies`
+ * @property {number} [timeoutMs] - Kill yt-dlp after this long
+ * @property {((line: string) => void) | null} [onStderr] - Receives each stderr line as it arrives
+ */
+
+/** @type {Required<YtDlpOptions>} */
+export const DEFAULT_YTDLP_OPTIONS = {
+  path: "yt-dlp",
+  extraArgs: [],
+  proxy: null,
+  cookiesFile: null,
+  timeoutMs: 45000,
+  onStderr: null,
+};
+
+/** @type {Required<YtDlpOptions>} */
+let ytDlpDefaults = { ...DEFAULT_YTDLP_OPTIONS };
+
+// Larger outputs mean something other than one video's info JSON or a flat listing
+const MAX_OUTPUT_BYTES = 50 * 1024 * 1024;
+// Stderr lines kept to explain a failure
+const STDERR_TAIL = 5;
+
+/**
+ * Change the options every later runYtDlp call starts from (e.g. from CLI flags or preferences).
+ * Undefined fields keep their current value.
+ * @param {YtDlpOptions} options
+ */
+export function setYtDlpDefaults(options) {
+  const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+  ytDlpDefaults = { ...ytDlpDefaults, ...Object.fromEntries(defined) };
+}
+
+/**
+ * @returns {Required<YtDlpOptions>}
+ */
+export function getYtDlpDefaults() {
+  return { ...ytDlpDefaults };
+}
+
+/**
+ * Split an extra-arguments string the way a shell would split words: on whitespace, with single
+ * or double quotes grouping words. Nothing is expanded.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitArgs(text) {
+  /** @type {string[]} */
+  const args = [];
+  for (const m of text.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g)) {
+    args.push(m[1] !== undefined ? m[1].replace(/\\(.)/g, "$1") : (m[2] ?? m[3]));
+  }
+  return args;
+}
+
+/**
+ * Turn yt-dlp's error output into the error class it describes.
+ * @param {string} message - yt-dlp's last error line, without the "ERROR: " prefix
+ * @returns {TranscriptError}
+ */
+export function classifyYtDlpError(message) {
+  if (/not a bot|HTTP Error 429|Too Many Requests/i.test(message)) return new RateLimitedError(message);
+  if (/private video/i.test(message)) return new VideoUnavailableError(message, { code: "VIDEO_PRIVATE" });
+  if (/confirm your age|age[- ]restricted|inappropriate/i.test(message)) return new AgeRestrictedError(message);
+  if (/video unavailable|has been removed|does not exist|is not available/i.test(message)) {
+    return new VideoUnavailableError(message);
+  }
+  if (/timed out|Unable to download|getaddrinfo|Connection (refused|reset)|HTTP Error 5\d\d/i.test(message)) {
+    return new NetworkError(message);
+  }
+  return new TranscriptError(message);
+}
+
+/**
+ * Run yt-dlp and resolve with its stdout.
+ * @param {string[]} args - Arguments after the configured proxy, cookies and extra ones; never passed
+ *   through a shell
+ * @param {YtDlpOptions & { signal?: AbortSignal }} [options] - Overrides for the defaults set with
+ *   setYtDlpDefaults; `signal` kills yt-dlp
+ * @returns {Promise<string>}
+ */
+export function runYtDlp(args, options = {}) {
+  const { path, extraArgs, proxy, cookiesFile, timeoutMs, onStderr } = { ...ytDlpDefaults, ...options };
+  const network = [...(proxy ? ["--proxy", proxy] : []), ...(cookiesFile ? ["--cookies", cookiesFile] : [])];
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(path, [...network, ...extraArgs, ...args], { stdio: ["ignore", "pipe", "pipe"], signal });
+    /** @type {Buffer[]} */
+    const stdout = [];
+    let bytes = 0;
+    /** @type {string[]} */
+    const tail = [];
+    let partial = "";
+    let settled = false;
+
+    /** @param {unknown} value @param {boolean} [ok] */
+    const settle = (value, ok = false) => {
+      if (settled) return;
+      settled = true;
+      if (ok) resolve(/** @type {string} */ (value));
+      else reject(value);
+    };
+    /** @param {string} line */
+    const addLine = (line) => {
+      if (!line.trim()) return;
+      tail.push(line);
+      if (tail.length > STDERR_TAIL) tail.shift();
+      onStderr?.(line);
+    };
+
+    child.stdout.on("data", (/** @type {Buffer} */ chunk) => {
+      bytes += chunk.length;
+      if (bytes > MAX_OUTPUT_BYTES) {
+        settle(new TranscriptError(`yt-dlp output exceeds ${MAX_OUTPUT_BYTES / 1024 / 1024} MB`));
+        child.kill();
+        return;
+      }
+      stdout.push(chunk);
+    });
+    child.stderr.setEncoding("utf-8");
+    child.stderr.on("data", (/** @type {string} */ chunk) => {
+      const lines = (partial + chunk).split(/\r?\n/);
+      partial = lines.pop() || "";
+      lines.forEach(addLine);
+    });
+
+    child.on("error", (e) => {
+      if (options.signal?.aborted) return settle(e);
+      if (timeout.aborted) return settle(new NetworkError(`yt-dlp timed out after ${timeoutMs}ms`, { cause: e }));
+      if (/** @type {NodeJS.ErrnoException} */ (e).code === "ENOENT") {
+        return settle(new TranscriptError(`yt-dlp not found (${path}); install it or set its path`, { cause: e }));
+      }
+      settle(e);
+    });
+    child.on("close", (code) => {
+      addLine(partial);
+      if (code === 0) return settle(Buffer.concat(stdout).toString("utf-8"), true);
+      const error = [...tail].reverse().find((line) => line.startsWith("ERROR:"));
+      const message = error ? error.replace(/^ERROR:\s*/, "") : tail[tail.length - 1];
+      settle(message ? classifyYtDlpError(message) : new TranscriptError(`yt-dlp exited with code ${code}`));
+    });
+  });
+}
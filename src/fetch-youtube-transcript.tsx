@@ -1,66 +1,192 @@
-import { Detail, Clipboard, showToast, Toast, getPreferenceValues } from "@raycast/api";
+import {
+  Action,
+  ActionPanel,
+  BrowserExtension,
+  Detail,
+  Clipboard,
+  environment,
+  Form,
+  getSelectedText,
+  showToast,
+  Toast,
+  getPreferenceValues,
+  type LaunchProps,
+} from "@raycast/api";
 import { useEffect, useState } from "react";
-import { extractVideoId, getVideoTranscript, formatTranscriptAsMarkdown } from "./utils";
+import {
+  errorHeading,
+  extractVideoId,
+  findVideoInput,
+  getVideoTranscript,
+  INPUT_SOURCE_LABELS,
+  parseCacheDays,
+  parseHedgeDelay,
+  parseLanguageList,
+  parseStrategies,
+  toDetailMarkdown,
+  type InputSource,
+  type OutputFormat,
+  type TrackPolicy,
+  type TranscriptResult,
+} from "./utils";
+import { TranscriptActions } from "./transcript-actions";
 
-export default function Command() {
+type VideoInput = { url: string; videoId: string; source: InputSource };
+
+// Active browser tab showing a video; needs the Raycast browser extension
+async function browserTabUrl(): Promise<string | undefined> {
+  if (!environment.canAccess(BrowserExtension)) return undefined;
+  const tabs = await BrowserExtension.getTabs();
+  return tabs.find((tab) => tab.active && extractVideoId(tab.url))?.url;
+}
+
+function UrlForm({ onSubmit }: { onSubmit: (input: VideoInput) => void }) {
+  const [error, setError] = useState<string | undefined>();
+  return (
+    <Form
+      actions={
+        <ActionPanel>
+          <Action.SubmitForm
+            title="Fetch Transcript"
+            onSubmit={(values: { url: string }) => {
+              const url = values.url.trim();
+              const videoId = extractVideoId(url);
+              if (videoId) onSubmit({ url, videoId, source: "form" });
+              else setError("Not a valid YouTube link");
+            }}
+          />
+        </ActionPanel>
+      }
+    >
+      <Form.Description text="No YouTube URL found in the clipboard, the selected text or the browser. Paste one here." />
+      <Form.TextField
+        id="url"
+        title="YouTube URL"
+        placeholder="https://www.youtube.com/watch?v=..."
+        error={error}
+        onChange={() => setError(undefined)}
+      />
+    </Form>
+  );
+}
+
+export default function Command(props: LaunchProps<{ arguments: { url?: string } }>) {
   const [markdown, setMarkdown] = useState<string>("");
   const [isLoading, setIsLoading] = useState(true);
+  const [input, setInput] = useState<VideoInput | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [transcript, setTranscript] = useState<{
+    result: TranscriptResult;
+    content: string;
+    format: OutputFormat;
+  } | null>(null);
 
+  // Find the video: the argument wins, then the clipboard, the selected text and the browser tab
   useEffect(() => {
-    async function fetchTranscript() {
-      try {
-        // Read from clipboard
-        let videoUrl: string | null = null;
-        try {
-          const clipboardText = await Clipboard.readText();
-          if (clipboardText && extractVideoId(clipboardText)) {
-            videoUrl = clipboardText;
-          }
-        } catch {
-          // Clipboard read failed
-        }
-
-        if (!videoUrl) {
-          setMarkdown("# ❌ No YouTube URL Found\n\nCopy a YouTube URL to your clipboard, then try again.");
+    async function findInput() {
+      const argument = props.arguments.url?.trim();
+      if (argument) {
+        const videoId = extractVideoId(argument);
+        if (videoId) {
+          setInput({ url: argument, videoId, source: "argument" });
+        } else {
+          setMarkdown(`# ❌ Invalid URL\n\nNot a valid YouTube link.\n\n**URL:** ${argument}`);
           setIsLoading(false);
-          return;
         }
+        return;
+      }
 
-        const videoId = extractVideoId(videoUrl);
-        if (!videoId) {
-          setMarkdown(`# ❌ Invalid URL\n\nNot a valid YouTube link.\n\n**URL:** ${videoUrl}`);
-          setIsLoading(false);
-          return;
-        }
+      const found = await findVideoInput([
+        ["clipboard", async () => (await Clipboard.readText()) ?? undefined],
+        ["selection", getSelectedText],
+        ["browser", browserTabUrl],
+      ]);
+      if (found) {
+        setInput(found);
+      } else {
+        setShowForm(true);
+        setIsLoading(false);
+      }
+    }
+
+    findInput();
+  }, []);
+
+  useEffect(() => {
+    if (!input) return;
+    const { videoId, source } = input;
+    // Leaving the command (or a new input) cancels the fetch still running for this one
+    const controller = new AbortController();
 
-        // Fetch transcript
-        const prefs = getPreferenceValues<{ includeTimestamps: boolean }>();
-        let result;
+    async function fetchTranscript() {
+      setIsLoading(true);
+      try {
+        const prefs = getPreferenceValues<{
+          includeTimestamps: boolean;
+          reflow?: boolean;
+          chapters?: boolean;
+          languages?: string;
+          trackPolicy?: TrackPolicy;
+          translateTo?: string;
+          outputFormat?: OutputFormat;
+          strategies?: string;
+          useYtDlp?: boolean;
+          hedgeDelay?: string;
+          cacheDays?: string;
+          ytDlpPath?: string;
+          ytDlpArgs?: string;
+          proxy?: string;
+          cookiesFile?: string;
+          autoCopy?: boolean;
+        }>();
+        const format = prefs.outputFormat || "md";
+        let rendered;
         try {
-          result = await getVideoTranscript(videoId, { timestamps: prefs.includeTimestamps });
+          rendered = await getVideoTranscript(videoId, {
+            timestamps: prefs.includeTimestamps,
+            reflow: prefs.reflow,
+            chapters: prefs.chapters,
+            languages: parseLanguageList(prefs.languages),
+            trackPolicy: prefs.trackPolicy,
+            translateTo: prefs.translateTo?.trim() || undefined,
+            strategies: parseStrategies(prefs.strategies, prefs.useYtDlp !== false),
+            hedgeDelayMs: parseHedgeDelay(prefs.hedgeDelay),
+            format,
+            cacheDays: parseCacheDays(prefs.cacheDays),
+            ytDlpPath: prefs.ytDlpPath,
+            ytDlpArgs: prefs.ytDlpArgs,
+            proxy: prefs.proxy,
+            cookiesFile: prefs.cookiesFile,
+            signal: controller.signal,
+          });
         } catch (fetchError) {
+          if (controller.signal.aborted) return;
           const msg = fetchError instanceof Error ? fetchError.message : String(fetchError);
           setMarkdown(
-            `# ❌ Error\n\n${msg}\n\n**Video ID:** ${videoId}\n**URL:** https://youtube.com/watch?v=${videoId}`,
+            `# ❌ ${errorHeading(fetchError)}\n\n${msg}\n\n**Video ID:** ${videoId}\n**URL:** https://youtube.com/watch?v=${videoId}\n**Source:** ${INPUT_SOURCE_LABELS[source]}`,
           );
           setIsLoading(false);
           return;
         }
 
-        const { transcript, title } = result;
-
-        // Format as Markdown
-        const markdownContent = formatTranscriptAsMarkdown(transcript, videoId, title);
+        if (controller.signal.aborted) return;
+        const { content, result, source: cacheSource } = rendered;
 
-        // Copy to clipboard
-        await Clipboard.copy(markdownContent);
+        // Copy to clipboard unless the Auto-Copy preference is off; the actions offer every other output
+        const autoCopy = prefs.autoCopy !== false;
+        if (autoCopy) await Clipboard.copy(content);
 
         await showToast({
           style: Toast.Style.Success,
-          title: "Copied to clipboard!",
+          title: autoCopy ? "Copied to clipboard!" : "Transcript ready",
+          message:
+            cacheSource === "stale"
+              ? "YouTube unreachable — showing the cached copy"
+              : `Source: ${INPUT_SOURCE_LABELS[source]}`,
         });
 
-        setMarkdown(markdownContent);
+        setMarkdown(toDetailMarkdown(content, format, result.title));
+        setTranscript({ result, content, format });
         setIsLoading(false);
       } catch (error) {
         const errorMessage = error instanceof Error ? error.message : String(error);
@@ -70,7 +196,24 @@ export default function Command() {
     }
 
     fetchTranscript();
-  }, []);
+    return () => controller.abort();
+  }, [input]);
+
+  if (showForm && !input) return <UrlForm onSubmit={setInput} />;
 
-  return <Detail isLoading={isLoading} markdown={isLoading ? "" : markdown} />;
+  return (
+    <Detail
+      isLoading={isLoading}
+      markdown={isLoading ? "" : markdown}
+      actions={transcript ? <TranscriptActions {...transcript} /> : undefined}
+      metadata={
+        input && !isLoading ? (
+          <Detail.Metadata>
+            <Detail.Metadata.Label title="Video ID" text={input.videoId} />
+            <Detail.Metadata.Label title="Source" text={INPUT_SOURCE_LABELS[input.source]} />
+          </Detail.Metadata>
+        ) : undefined
+      }
+    />
+  );
 }
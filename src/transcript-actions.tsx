@@ -0,0 +1,147 @@
+import {
+  Action,
+  ActionPanel,
+  getPreferenceValues,
+  Icon,
+  open,
+  openExtensionPreferences,
+  showInFinder,
+  showToast,
+  Toast,
+} from "@raycast/api";
+import { readFile } from "fs/promises";
+import {
+  renderTranscript,
+  saveFolder,
+  saveNote,
+  saveTranscriptFile,
+  videoUrl,
+  type CollisionMode,
+  type OutputFormat,
+  type TranscriptResult,
+} from "./utils";
+import { TranscriptViewer } from "./transcript-viewer";
+
+// Save the transcript into the Save Folder, then reveal it in Finder or open it in its default app
+async function saveTranscript(result: TranscriptResult, content: string, format: OutputFormat, openFile: boolean) {
+  const { saveFolder: folder } = getPreferenceValues<{ saveFolder?: string }>();
+  try {
+    const file = await saveTranscriptFile(saveFolder(folder), result, content, format);
+    await showToast({ style: Toast.Style.Success, title: "Saved transcript", message: file });
+    await (openFile ? open(file) : showInFinder(file));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    await showToast({ style: Toast.Style.Failure, title: "Save failed", message });
+  }
+}
+
+// Save the transcript as a note in the Vault Folder, named and laid out by the vault preferences
+async function saveToVault(result: TranscriptResult) {
+  const prefs = getPreferenceValues<{
+    includeTimestamps: boolean;
+    reflow?: boolean;
+    chapters?: boolean;
+    vaultFolder?: string;
+    vaultFilename?: string;
+    vaultTemplate?: string;
+    vaultCollision?: CollisionMode;
+    vaultByChannel?: boolean;
+    vaultFrontMatter?: boolean;
+  }>();
+  if (!prefs.vaultFolder) {
+    await showToast({
+      style: Toast.Style.Failure,
+      title: "No Vault Folder set",
+      primaryAction: { title: "Open Preferences", onAction: () => openExtensionPreferences() },
+    });
+    return;
+  }
+  try {
+    const { file, status } = await saveNote(prefs.vaultFolder, result, {
+      filenameTemplate: prefs.vaultFilename?.trim() || undefined,
+      template: prefs.vaultTemplate ? await readFile(prefs.vaultTemplate, "utf-8") : undefined,
+      collision: prefs.vaultCollision,
+      byChannel: prefs.vaultByChannel,
+      frontMatter: prefs.vaultFrontMatter !== false,
+      timestamps: prefs.includeTimestamps,
+      reflow: prefs.reflow,
+      chapters: prefs.chapters,
+    });
+    await showToast({
+      style: Toast.Style.Success,
+      title: status === "skipped" ? "Note already exists" : "Saved to vault",
+      message: file,
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    await showToast({ style: Toast.Style.Failure, title: "Save to vault failed", message });
+  }
+}
+
+// Every way to take a fetched transcript elsewhere; `content` is the transcript in the preferred format
+export function TranscriptActions({
+  result,
+  content,
+  format,
+}: {
+  result: TranscriptResult;
+  content: string;
+  format: OutputFormat;
+}) {
+  const prefs = getPreferenceValues<{ includeTimestamps: boolean; reflow?: boolean; chapters?: boolean }>();
+  const { reflow, chapters } = prefs;
+  return (
+    <ActionPanel>
+      <ActionPanel.Section>
+        <Action.CopyToClipboard
+          title="Copy as Markdown"
+          content={renderTranscript(result, "md", { timestamps: prefs.includeTimestamps, reflow, chapters })}
+        />
+        <Action.CopyToClipboard
+          title="Copy Plain Text"
+          content={renderTranscript(result, "txt", { reflow, chapters })}
+          shortcut={{ modifiers: ["cmd", "shift"], key: "c" }}
+        />
+        <Action.CopyToClipboard
+          title="Copy with Timestamps"
+          content={renderTranscript(result, "txt", { timestamps: true, chapters })}
+          shortcut={{ modifiers: ["cmd", "shift"], key: "t" }}
+        />
+        <Action.Paste title="Paste in Frontmost App" content={content} shortcut={{ modifiers: ["cmd"], key: "p" }} />
+      </ActionPanel.Section>
+      <ActionPanel.Section>
+        <Action
+          title="Save to File"
+          icon={Icon.SaveDocument}
+          shortcut={{ modifiers: ["cmd"], key: "s" }}
+          onAction={() => saveTranscript(result, content, format, false)}
+        />
+        <Action
+          title="Save to Vault"
+          icon={Icon.Book}
+          shortcut={{ modifiers: ["cmd", "shift"], key: "s" }}
+          onAction={() => saveToVault(result)}
+        />
+        <Action
+          title="Open in Default Editor"
+          icon={Icon.Pencil}
+          shortcut={{ modifiers: ["cmd"], key: "e" }}
+          onAction={() => saveTranscript(result, content, format, true)}
+        />
+      </ActionPanel.Section>
+      <ActionPanel.Section>
+        <Action.Push
+          title="Browse Segments"
+          icon={Icon.List}
+          shortcut={{ modifiers: ["cmd"], key: "b" }}
+          target={<TranscriptViewer result={result} />}
+        />
+        <Action.OpenInBrowser
+          title="Open Video"
+          url={videoUrl(result.videoId)}
+          shortcut={{ modifiers: ["cmd"], key: "o" }}
+        />
+      </ActionPanel.Section>
+    </ActionPanel>
+  );
+}
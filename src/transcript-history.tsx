@@ -0,0 +1,189 @@
+import {
+  Action,
+  ActionPanel,
+  Alert,
+  Clipboard,
+  confirmAlert,
+  Detail,
+  getPreferenceValues,
+  Icon,
+  List,
+  showInFinder,
+  showToast,
+  Toast,
+} from "@raycast/api";
+import { useEffect, useMemo, useState } from "react";
+import {
+  filterHistory,
+  historyChannels,
+  loadHistory,
+  matchSnippet,
+  removeCacheEntry,
+  renderTranscript,
+  saveFolder,
+  saveTranscriptFile,
+  toDetailMarkdown,
+  transcriptCacheDir,
+  videoUrl,
+  type HistoryItem,
+  type HistoryPeriod,
+  type OutputFormat,
+} from "./utils";
+import { TranscriptActions } from "./transcript-actions";
+import { TranscriptViewer } from "./transcript-viewer";
+
+// Dropdown values: a period, or "channel:" plus a channel name
+const PERIODS: { value: HistoryPeriod; title: string }[] = [
+  { value: "all", title: "Any Time" },
+  { value: "day", title: "Past 24 Hours" },
+  { value: "week", title: "Past Week" },
+  { value: "month", title: "Past Month" },
+];
+
+function render(item: HistoryItem): { content: string; format: OutputFormat } {
+  const prefs = getPreferenceValues<{
+    includeTimestamps: boolean;
+    reflow?: boolean;
+    chapters?: boolean;
+    outputFormat?: OutputFormat;
+  }>();
+  const format = prefs.outputFormat || "md";
+  const content = renderTranscript(item.result, format, {
+    timestamps: prefs.includeTimestamps,
+    reflow: prefs.reflow,
+    chapters: prefs.chapters,
+  });
+  return { content, format };
+}
+
+async function copyTranscript(item: HistoryItem) {
+  await Clipboard.copy(render(item).content);
+  await showToast({ style: Toast.Style.Success, title: "Copied to clipboard!" });
+}
+
+// Write the transcript to the Save Folder in the preferred format, without replacing an existing file
+async function exportTranscript(item: HistoryItem) {
+  const { content, format } = render(item);
+  const { saveFolder: folder } = getPreferenceValues<{ saveFolder?: string }>();
+  try {
+    const file = await saveTranscriptFile(saveFolder(folder), item.result, content, format);
+    await showToast({ style: Toast.Style.Success, title: "Exported transcript", message: file });
+    await showInFinder(file);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    await showToast({ style: Toast.Style.Failure, title: "Export failed", message });
+  }
+}
+
+function TranscriptDetail({ item }: { item: HistoryItem }) {
+  const { content, format } = render(item);
+  return (
+    <Detail
+      markdown={toDetailMarkdown(content, format, item.title)}
+      actions={<TranscriptActions result={item.result} content={content} format={format} />}
+    />
+  );
+}
+
+export default function Command() {
+  const [items, setItems] = useState<HistoryItem[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [query, setQuery] = useState("");
+  const [filter, setFilter] = useState("all");
+
+  useEffect(() => {
+    loadHistory(transcriptCacheDir()).then((history) => {
+      setItems(history);
+      setIsLoading(false);
+    });
+  }, []);
+
+  const channels = useMemo(() => historyChannels(items), [items]);
+  const visible = useMemo(() => {
+    const channel = filter.startsWith("channel:") ? filter.slice("channel:".length) : undefined;
+    const period = channel ? "all" : (filter as HistoryPeriod);
+    return filterHistory(items, { query, channel, period });
+  }, [items, query, filter]);
+
+  async function deleteItem(item: HistoryItem) {
+    const confirmed = await confirmAlert({
+      title: "Delete Transcript?",
+      message: item.title,
+      primaryAction: { title: "Delete", style: Alert.ActionStyle.Destructive },
+    });
+    if (!confirmed) return;
+    await removeCacheEntry(item.file);
+    setItems((current) => current.filter((i) => i.file !== item.file));
+    await showToast({ style: Toast.Style.Success, title: "Deleted transcript" });
+  }
+
+  return (
+    <List
+      isLoading={isLoading}
+      filtering={false}
+      onSearchTextChange={setQuery}
+      searchBarPlaceholder="Search titles, channels and transcripts"
+      searchBarAccessory={
+        <List.Dropdown tooltip="Filter by date or channel" onChange={setFilter}>
+          <List.Dropdown.Section title="Fetched">
+            {PERIODS.map((p) => (
+              <List.Dropdown.Item key={p.value} title={p.title} value={p.value} />
+            ))}
+          </List.Dropdown.Section>
+          <List.Dropdown.Section title="Channel">
+            {channels.map((c) => (
+              <List.Dropdown.Item key={c} title={c} value={`channel:${c}`} />
+            ))}
+          </List.Dropdown.Section>
+        </List.Dropdown>
+      }
+    >
+      <List.EmptyView
+        icon={Icon.Text}
+        title={items.length ? "No Matching Transcripts" : "No Transcripts Yet"}
+        description={items.length ? undefined : "Transcripts fetched with FastyTranscript show up here."}
+      />
+      {visible.map((item) => (
+        <List.Item
+          key={item.file}
+          title={item.title}
+          subtitle={(query && matchSnippet(item.text, query)) || item.channel}
+          accessories={[
+            { tag: item.kind === "asr" ? `${item.language} (auto)` : item.language },
+            { date: new Date(item.fetchedAt), tooltip: `Fetched ${new Date(item.fetchedAt).toLocaleString()}` },
+          ]}
+          actions={
+            <ActionPanel>
+              <Action title="Copy Transcript" icon={Icon.Clipboard} onAction={() => copyTranscript(item)} />
+              <Action.Push title="Show Transcript" icon={Icon.Eye} target={<TranscriptDetail item={item} />} />
+              <Action.Push
+                title="Browse Segments"
+                icon={Icon.List}
+                shortcut={{ modifiers: ["cmd"], key: "b" }}
+                target={<TranscriptViewer result={item.result} />}
+              />
+              <Action.OpenInBrowser
+                title="Open Video"
+                url={videoUrl(item.videoId)}
+                shortcut={{ modifiers: ["cmd"], key: "o" }}
+              />
+              <Action
+                title="Export as File"
+                icon={Icon.Download}
+                shortcut={{ modifiers: ["cmd"], key: "s" }}
+                onAction={() => exportTranscript(item)}
+              />
+              <Action
+                title="Delete Transcript"
+                icon={Icon.Trash}
+                style={Action.Style.Destructive}
+                shortcut={{ modifiers: ["ctrl"], key: "x" }}
+                onAction={() => deleteItem(item)}
+              />
+            </ActionPanel>
+          }
+        />
+      ))}
+    </List>
+  );
+}
@@ -0,0 +1,104 @@
+import { Action, ActionPanel, Clipboard, getPreferenceValues, Icon, List, showToast, Toast } from "@raycast/api";
+import { useState } from "react";
+import {
+  decodeHtmlEntities,
+  formatSegments,
+  formatTimestamp,
+  videoUrl,
+  type TranscriptResult,
+  type TranscriptSegment,
+} from "./utils";
+
+// Segment-by-segment view of a fetched transcript: type to filter lines, open the video at any of
+// them, and copy a range. Everything renders from the segments already in hand, so nothing refetches.
+export function TranscriptViewer({ result }: { result: TranscriptResult }) {
+  const [showTimestamps, setShowTimestamps] = useState(
+    () => getPreferenceValues<{ includeTimestamps: boolean }>().includeTimestamps,
+  );
+  // Index of the segment marked as the start of a range to copy
+  const [rangeStart, setRangeStart] = useState<number | null>(null);
+  const { segments } = result;
+
+  async function copySegments(selected: TranscriptSegment[]) {
+    await Clipboard.copy(formatSegments(selected, { timestamps: showTimestamps }));
+    await showToast({
+      style: Toast.Style.Success,
+      title: selected.length === 1 ? "Copied segment" : `Copied ${selected.length} segments`,
+    });
+  }
+
+  async function copyRange(end: number) {
+    if (rangeStart === null) return;
+    const [from, to] = rangeStart <= end ? [rangeStart, end] : [end, rangeStart];
+    await copySegments(segments.slice(from, to + 1));
+    setRangeStart(null);
+  }
+
+  return (
+    <List navigationTitle={result.title} searchBarPlaceholder="Filter segments">
+      {segments.map((segment, index) => {
+        const text = decodeHtmlEntities(segment.text);
+        const accessories: List.Item.Accessory[] = [];
+        if (index === rangeStart) accessories.push({ tag: "Range Start", icon: Icon.Pin });
+        if (showTimestamps) accessories.push({ text: formatTimestamp(segment.start) });
+        return (
+          <List.Item
+            key={index}
+            title={text}
+            accessories={accessories}
+            actions={
+              <ActionPanel>
+                <ActionPanel.Section>
+                  <Action.OpenInBrowser
+                    title={`Open Video at ${formatTimestamp(segment.start)}`}
+                    url={videoUrl(result.videoId, segment.start)}
+                  />
+                  <Action title="Copy Segment" icon={Icon.Clipboard} onAction={() => copySegments([segment])} />
+                </ActionPanel.Section>
+                <ActionPanel.Section title="Range">
+                  {rangeStart !== null && rangeStart !== index && (
+                    <Action
+                      title={`Copy Segments ${formatTimestamp(segments[Math.min(rangeStart, index)].start)}–${formatTimestamp(segments[Math.max(rangeStart, index)].start)}`}
+                      icon={Icon.CopyClipboard}
+                      shortcut={{ modifiers: ["cmd", "shift"], key: "c" }}
+                      onAction={() => copyRange(index)}
+                    />
+                  )}
+                  {rangeStart === index ? (
+                    <Action
+                      title="Clear Range Start"
+                      icon={Icon.XMarkCircle}
+                      shortcut={{ modifiers: ["cmd"], key: "m" }}
+                      onAction={() => setRangeStart(null)}
+                    />
+                  ) : (
+                    <Action
+                      title="Mark Range Start"
+                      icon={Icon.Pin}
+                      shortcut={{ modifiers: ["cmd"], key: "m" }}
+                      onAction={() => setRangeStart(index)}
+                    />
+                  )}
+                </ActionPanel.Section>
+                <ActionPanel.Section>
+                  <Action
+                    title={showTimestamps ? "Hide Timestamps" : "Show Timestamps"}
+                    icon={Icon.Clock}
+                    shortcut={{ modifiers: ["cmd"], key: "t" }}
+                    onAction={() => setShowTimestamps(!showTimestamps)}
+                  />
+                  <Action
+                    title="Copy Whole Transcript"
+                    icon={Icon.Document}
+                    shortcut={{ modifiers: ["cmd", "shift"], key: "a" }}
+                    onAction={() => copySegments(segments)}
+                  />
+                </ActionPanel.Section>
+              </ActionPanel>
+            }
+          />
+        );
+      })}
+    </List>
+  );
+}
@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseBatchInput,
+  expandBatchEntries,
+  mapWithConcurrency,
+  batchFilename,
+  formatBatchSummary,
+} from "../lib/batch.mjs";
+
+// ── lib/batch.mjs ───────────────────────────────────────────────────────────
+
+describe("parseBatchInput", () => {
+  it("reads one URL or ID per line, skipping blanks and comments", () => {
+    const text = "# talks\nhttps://youtu.be/dQw4w9WgXcQ\n\n  jNQXAC9IVRw  \nnot a url\n";
+    assert.deepEqual(parseBatchInput(text), [
+      { input: "https://youtu.be/dQw4w9WgXcQ", videoId: "dQw4w9WgXcQ" },
+      { input: "jNQXAC9IVRw", videoId: "jNQXAC9IVRw" },
+      { input: "not a url", videoId: null },
+    ]);
+  });
+
+  it("keeps each video once", () => {
+    const text = "dQw4w9WgXcQ\nhttps://www.youtube.com/watch?v=dQw4w9WgXcQ\n";
+    assert.equal(parseBatchInput(text).length, 1);
+  });
+});
+
+describe("expandBatchEntries", () => {
+  it("marks playlist and channel lines for expansion", () => {
+    const [entry] = parseBatchInput("https://www.youtube.com/@veritasium\n");
+    assert.equal(entry.videoId, null);
+    assert.equal(entry.list?.kind, "channel");
+  });
+
+  it("replaces lists with their videos, skipping ones already listed", async () => {
+    const entries = parseBatchInput("dQw4w9WgXcQ\nhttps://www.youtube.com/@veritasium\n");
+    const expanded = await expandBatchEntries(entries, async () => [
+      { videoId: "dQw4w9WgXcQ", title: "" },
+      { videoId: "jNQXAC9IVRw", title: "" },
+    ]);
+    assert.deepEqual(
+      expanded.map((e) => e.videoId),
+      ["dQw4w9WgXcQ", "jNQXAC9IVRw"],
+    );
+  });
+
+  it("keeps a failed list as one entry with its error", async () => {
+    const entries = parseBatchInput("@veritasium\n");
+    const expanded = await expandBatchEntries(entries, async () => {
+      throw new Error("Could not list videos");
+    });
+    assert.deepEqual(expanded, [{ input: "@veritasium", videoId: null, error: "Could not list videos" }]);
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("never runs more than the limit at once and keeps input order", async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (ms, i) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      running--;
+      return i;
+    });
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+  });
+
+  it("handles an empty list", async () => {
+    assert.deepEqual(await mapWithConcurrency([], 3, async (x) => x), []);
+  });
+});
+
+describe("batchFilename", () => {
+  it("sanitizes the title and appends the extension", () => {
+    assert.equal(batchFilename("Hello: World!", "abc", "md", new Set()), "Hello_World.md");
+  });
+
+  it("falls back to the video ID for titles with nothing usable", () => {
+    assert.equal(batchFilename("???", "abc", "srt", new Set()), "abc.srt");
+  });
+
+  it("appends the video ID when the name is already taken", () => {
+    const taken = new Set();
+    assert.equal(batchFilename("Same", "one", "md", taken), "Same.md");
+    assert.equal(batchFilename("Same", "two", "md", taken), "Same_two.md");
+  });
+});
+
+describe("formatBatchSummary", () => {
+  it("lists each video and indents a failure's strategy errors", () => {
+    const summary = formatBatchSummary([
+      { input: "dQw4w9WgXcQ", videoId: "dQw4w9WgXcQ", file: "out/Video.md" },
+      {
+        input: "jNQXAC9IVRw",
+        videoId: "jNQXAC9IVRw",
+        error: "No transcript available. All methods failed:\n- ANDROID API: 403\n- Page scraping: captcha",
+      },
+    ]);
+    const lines = summary.split("\n");
+    assert.equal(lines[0], "STATUS  VIDEO        FILE / ERROR");
+    assert.equal(lines[1], "ok      dQw4w9WgXcQ  out/Video.md");
+    assert.equal(lines[2], "failed  jNQXAC9IVRw  No transcript available. All methods failed:");
+    assert.equal(lines[3], "                       - ANDROID API: 403");
+    assert.equal(lines.at(-1), "1 succeeded, 1 failed");
+  });
+
+  it("marks notes that already existed as skipped", () => {
+    const summary = formatBatchSummary([
+      { input: "dQw4w9WgXcQ", videoId: "dQw4w9WgXcQ", file: "vault/Video.md", skipped: true },
+    ]);
+    assert.equal(summary.split("\n")[1], "skipped  dQw4w9WgXcQ  vault/Video.md");
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile, readdir } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  cacheKey,
+  cacheFilename,
+  readCacheEntry,
+  writeCacheEntry,
+  fetchTranscriptCached,
+  listCacheEntries,
+  readCacheEntries,
+  removeCacheEntry,
+  clearCache,
+  pruneCache,
+} from "../lib/cache.mjs";
+import { NetworkError, RateLimitedError, VideoUnavailableError } from "../lib/errors.mjs";
+
+// ── lib/cache.mjs ───────────────────────────────────────────────────────────
+
+const result = {
+  videoId: "dQw4w9WgXcQ",
+  title: "Video",
+  method: "android",
+  language: "en",
+  kind: "manual",
+  segments: [{ text: "hello", start: 0, duration: 1 }],
+  chapters: [],
+  metadata: null,
+  errors: [],
+};
+const daysAgo = (n) => new Date(Date.now() - n * 86400000);
+
+let dir;
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "fastytranscript-cache-"));
+});
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("cacheKey", () => {
+  it("normalizes defaults and case", () => {
+    assert.deepEqual(cacheKey("abc"), {
+      videoId: "abc",
+      languages: ["en"],
+      trackPolicy: "prefer-manual",
+      translateTo: null,
+    });
+    assert.deepEqual(cacheKey("abc", { languages: ["EN"], translateTo: "FR" }), {
+      videoId: "abc",
+      languages: ["en"],
+      trackPolicy: "prefer-manual",
+      translateTo: "fr",
+    });
+  });
+
+  it("gives different requests different files", () => {
+    const a = cacheFilename(cacheKey("abc"));
+    assert.ok(a.startsWith("abc-") && a.endsWith(".json"));
+    assert.notEqual(a, cacheFilename(cacheKey("abc", { trackPolicy: "prefer-asr" })));
+    assert.notEqual(a, cacheFilename(cacheKey("abc", { captionFormat: "json3" })));
+    assert.equal(a, cacheFilename(cacheKey("abc", { languages: ["en"] })));
+  });
+});
+
+describe("fetchTranscriptCached", () => {
+  it("fetches and stores on a miss, then serves from the cache", async () => {
+    let calls = 0;
+    const fetch = async () => {
+      calls++;
+      return result;
+    };
+    const first = await fetchTranscriptCached("dQw4w9WgXcQ", {}, { dir, fetch });
+    const second = await fetchTranscriptCached("dQw4w9WgXcQ", {}, { dir, fetch });
+    assert.equal(first.source, "network");
+    assert.equal(second.source, "cache");
+    assert.deepEqual(second.result, result);
+    assert.equal(calls, 1);
+  });
+
+  it("refetches expired entries and with refresh", async () => {
+    await writeCacheEntry(dir, result, {}, daysAgo(10));
+    const fetch = async () => ({ ...result, title: "New" });
+    const expired = await fetchTranscriptCached("dQw4w9WgXcQ", {}, { dir, fetch, ttlDays: 7 });
+    assert.equal(expired.source, "network");
+    assert.equal(expired.result.title, "New");
+    const refreshed = await fetchTranscriptCached("dQw4w9WgXcQ", {}, { dir, fetch, refresh: true });
+    assert.equal(refreshed.source, "network");
+    assert.equal((await readCacheEntry(dir, "dQw4w9WgXcQ")).result.title, "New");
+  });
+
+  it("replays an expired entry when YouTube can't be reached or rate-limits", async () => {
+    await writeCacheEntry(dir, result, {}, daysAgo(30));
+    for (const error of [new NetworkError("offline"), new RateLimitedError("captcha")]) {
+      const fetch = async () => {
+        throw error;
+      };
+      const stale = await fetchTranscriptCached("dQw4w9WgXcQ", {}, { dir, fetch });
+      assert.equal(stale.source, "stale");
+      assert.deepEqual(stale.result, result);
+    }
+  });
+
+  it("reports YouTube's own answers instead of replaying", async () => {
+    await writeCacheEntry(dir, result, {}, daysAgo(30));
+    const fetch = async () => {
+      throw new VideoUnavailableError("Video is private", { code: "VIDEO_PRIVATE" });
+    };
+    await assert.rejects(fetchTranscriptCached("dQw4w9WgXcQ", {}, { dir, fetch }), { code: "VIDEO_PRIVATE" });
+  });
+
+  it("doesn't replay an expired entry on --refresh", async () => {
+    await writeCacheEntry(dir, result, {}, daysAgo(30));
+    const fetch = async () => {
+      throw new NetworkError("offline");
+    };
+    await assert.rejects(fetchTranscriptCached("dQw4w9WgXcQ", {}, { dir, fetch, refresh: true }), /offline/);
+  });
+
+  it("doesn't replay an expired entry when the fetch was cancelled", async () => {
+    await writeCacheEntry(dir, result, {}, daysAgo(30));
+    const controller = new AbortController();
+    controller.abort(new NetworkError("cancelled"));
+    const fetch = async () => {
+      throw controller.signal.reason;
+    };
+    const options = { signal: controller.signal };
+    await assert.rejects(fetchTranscriptCached("dQw4w9WgXcQ", options, { dir, fetch }), /cancelled/);
+  });
+
+  it("rethrows when the fetch fails and nothing is cached", async () => {
+    const fetch = async () => {
+      throw new Error("offline");
+    };
+    await assert.rejects(fetchTranscriptCached("dQw4w9WgXcQ", {}, { dir, fetch }), /offline/);
+  });
+});
+
+describe("cache maintenance", () => {
+  it("lists entries newest first", async () => {
+    await writeCacheEntry(dir, { ...result, videoId: "old" }, {}, daysAgo(3));
+    await writeCacheEntry(dir, result, {}, daysAgo(1));
+    const entries = await listCacheEntries(dir);
+    assert.deepEqual(
+      entries.map((e) => e.videoId),
+      ["dQw4w9WgXcQ", "old"],
+    );
+    assert.equal(entries[0].title, "Video");
+    assert.ok(entries[0].bytes > 0);
+  });
+
+  it("reads whole entries and removes a single one", async () => {
+    const file = await writeCacheEntry(dir, result, {}, daysAgo(1));
+    const other = await writeCacheEntry(dir, { ...result, videoId: "other" }, {}, daysAgo(2));
+    await writeFile(join(dir, "broken-0.json"), "{not json");
+    const entries = await readCacheEntries(dir);
+    assert.deepEqual(
+      entries.map((e) => [e.file, e.result.segments.length]),
+      [
+        [file, 1],
+        [other, 1],
+      ],
+    );
+    await removeCacheEntry(file);
+    assert.deepEqual(
+      (await listCacheEntries(dir)).map((e) => e.videoId),
+      ["other"],
+    );
+  });
+
+  it("prune removes expired and corrupt entries", async () => {
+    await writeCacheEntry(dir, { ...result, videoId: "old" }, {}, daysAgo(10));
+    await writeCacheEntry(dir, result, {}, daysAgo(1));
+    await writeFile(join(dir, "broken-0.json"), "{not json");
+    assert.equal(await pruneCache(dir, 7), 2);
+    assert.equal((await readdir(dir)).length, 1);
+  });
+
+  it("clear removes everything and tolerates a missing directory", async () => {
+    await writeCacheEntry(dir, result);
+    assert.equal(await clearCache(dir), 1);
+    assert.deepEqual(await listCacheEntries(join(dir, "missing")), []);
+  });
+});
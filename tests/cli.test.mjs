@@ -1,15 +1,22 @@
-import { describe, it } from "node:test";
+import { describe, it, after } from "node:test";
 import assert from "node:assert/strict";
 import { execSync } from "node:child_process";
 import { join } from "node:path";
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { pathToFileURL } from "node:url";
 
 const CLI = join(import.meta.dirname, "..", "cli.mjs");
+// Keep CLI runs away from the user's real transcript cache
+const CACHE_DIR = mkdtempSync(join(tmpdir(), "fastytranscript-cli-"));
+after(() => rmSync(CACHE_DIR, { recursive: true, force: true }));
 
 function run(args, opts = {}) {
   try {
     const stdout = execSync(`node ${CLI} ${args}`, {
       encoding: "utf-8",
       timeout: 10000,
+      env: { ...process.env, FASTYTRANSCRIPT_CACHE_DIR: CACHE_DIR },
       ...opts,
     });
     return { stdout, exitCode: 0 };
@@ -22,6 +29,14 @@ function run(args, opts = {}) {
   }
 }
 
+// Answer from a recorded cassette instead of YouTube (see fixtures/replay.mjs)
+const REPLAY = join(import.meta.dirname, "fixtures", "replay-plugin.mjs");
+function replay(args, cassette = "android") {
+  return run(`${args} --plugin ${REPLAY} --no-cache`, {
+    env: { ...process.env, FASTYTRANSCRIPT_CACHE_DIR: CACHE_DIR, FASTYTRANSCRIPT_CASSETTE: cassette },
+  });
+}
+
 // ── CLI Integration Tests ──────────────────────────────────────────────────
 
 describe("CLI argument handling", () => {
@@ -53,55 +68,309 @@ describe("CLI argument handling", () => {
     const result = run("--json");
     assert.equal(result.exitCode, 2, "Should fail with exit 2 (no positional arg)");
   });
+
+  it("exits 2 when --lang has no value", () => {
+    const result = run("dQw4w9WgXcQ --lang");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Usage:"));
+  });
+
+  it("exits 2 for an unknown --captions policy", () => {
+    const result = run("dQw4w9WgXcQ --captions sometimes");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Invalid --captions policy"));
+  });
+
+  it("exits 2 for an unknown --caption-format", () => {
+    const result = run("dQw4w9WgXcQ --caption-format srv9");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Invalid --caption-format: srv9"));
+  });
+
+  it("exits 2 for an unknown --format", () => {
+    const result = run("dQw4w9WgXcQ --format docx");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Invalid --format"));
+  });
+
+  it("exits 2 when --batch is combined with a URL argument", () => {
+    const result = run("--batch list.txt dQw4w9WgXcQ");
+    assert.equal(result.exitCode, 2);
+  });
+
+  it("exits 2 for a non-positive --concurrency", () => {
+    const result = run("--batch - --concurrency 0", { input: "dQw4w9WgXcQ\n" });
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Invalid --concurrency"));
+  });
+
+  it("exits 2 when the --batch file can't be read", () => {
+    const result = run("--batch /nonexistent/urls.txt");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Cannot read --batch list"));
+  });
+
+    it("exits 2 for an invalid --limit or --after", () => {
+    assert.equal(run("@veritasium --limit 0").exitCode, 2);
+    const result = run("@veritasium --after 2024/01/01");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Invalid --after"));
+  });
+
+  it("exits 2 for --list-langs with a channel", () => {
+    assert.equal(run("@veritasium --list-langs").exitCode, 2);
+  });
+
+    it("exits 2 for an unknown --strategy", () => {
+    const result = run("dQw4w9WgXcQ --strategy android,carrier-pigeon");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Invalid --strategy"));
+  });
+
+  it("exits 2 for a negative --hedge", () => {
+    const result = run("dQw4w9WgXcQ --hedge=-5");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Invalid --hedge"));
+  });
+
+  it("exits 2 for invalid network tuning flags", () => {
+    assert.equal(run("dQw4w9WgXcQ --timeout 0").exitCode, 2);
+    assert.equal(run("dQw4w9WgXcQ --retries 1.5").exitCode, 2);
+    assert.ok(run("dQw4w9WgXcQ --backoff=-1").stderr.includes("Invalid --backoff"));
+  });
+
+  it("exits 2 for an unsupported --proxy or unreadable --cookies", () => {
+    const proxy = run("dQw4w9WgXcQ --proxy ftp://proxy.example");
+    assert.equal(proxy.exitCode, 2);
+    assert.ok(proxy.stderr.includes("Invalid --proxy"));
+    const cookies = run("dQw4w9WgXcQ --cookies ./does-not-exist.txt");
+    assert.equal(cookies.exitCode, 2);
+    assert.ok(cookies.stderr.includes("Cannot read --cookies"));
+  });
+
+  it("exits 2 when a --plugin can't be loaded", () => {
+    const result = run("dQw4w9WgXcQ --plugin ./does-not-exist.mjs");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Cannot load --plugin"));
+  });
+
+    it("exits 2 for unknown flags", () => {
+    const result = run("dQw4w9WgXcQ --bogus");
+    assert.equal(result.exitCode, 2);
+  });
 });
 
 describe("CLI extractVideoId integration", () => {
   it("accepts a bare 11-char video ID", () => {
-    // This will try to fetch the transcript (may fail with exit 1 if network unavailable)
-    // but should NOT exit 2 (invalid input)
-    const result = run("dQw4w9WgXcQ --json", { timeout: 30000 });
-    assert.notEqual(result.exitCode, 2, "Should not be invalid input");
+    const result = replay("dQw4w9WgXcQ --json");
+    assert.equal(result.exitCode, 0);
+    assert.equal(JSON.parse(result.stdout).videoId, "dQw4w9WgXcQ");
   });
 
   it("accepts a full youtube.com URL", () => {
-    const result = run('"https://www.youtube.com/watch?v=dQw4w9WgXcQ" --json', { timeout: 30000 });
-    assert.notEqual(result.exitCode, 2, "Should not be invalid input");
+    const result = replay('"https://www.youtube.com/watch?v=dQw4w9WgXcQ" --json');
+    assert.equal(result.exitCode, 0);
+    assert.equal(JSON.parse(result.stdout).videoId, "dQw4w9WgXcQ");
+  });
+
+  it("lists caption tracks with their kind in its own column", () => {
+    const result = replay("dQw4w9WgXcQ --list-langs");
+    assert.equal(result.exitCode, 0);
+    assert.deepEqual(result.stdout.trimEnd().split("\n"), [
+      "en  manual          English",
+      "en  auto-generated  English (auto-generated)",
+    ]);
   });
 
   it("accepts a youtu.be short URL", () => {
-    const result = run('"https://youtu.be/dQw4w9WgXcQ" --json', { timeout: 30000 });
-    assert.notEqual(result.exitCode, 2, "Should not be invalid input");
+    const result = replay('"https://youtu.be/dQw4w9WgXcQ" --json');
+    assert.equal(result.exitCode, 0);
+    assert.equal(JSON.parse(result.stdout).videoId, "dQw4w9WgXcQ");
+  });
+});
+
+describe("CLI batch mode", () => {
+  it("reads stdin and reports invalid entries in the summary", () => {
+    const result = run("--batch -", { input: "# list\nnot-a-url\n" });
+    assert.equal(result.exitCode, 1);
+    assert.ok(result.stdout.includes("failed  not-a-url  Invalid YouTube URL or ID: not-a-url"));
+    assert.ok(result.stdout.includes("0 succeeded, 1 failed"));
+  });
+
+  it("exits 2 when --out-dir can't be created", () => {
+    const file = join(CACHE_DIR, "not-a-dir");
+    writeFileSync(file, "");
+    const result = run(`--batch - --out-dir ${file}/x`, { input: "dQw4w9WgXcQ\n" });
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes(`Cannot create --out-dir ${file}/x:`));
+  });
+});
+
+describe("CLI strategies", () => {
+  it("fetches through a --plugin strategy selected with --strategy", () => {
+    const plugin = join(CACHE_DIR, "plugin.mjs");
+    writeFileSync(
+      plugin,
+      `export default { name: "fake", fetch: () => ({ segments: [{ text: "from plugin", start: 0, duration: 1 }], language: "en", kind: "manual" }) };`,
+    );
+    const result = replay(`dQw4w9WgXcQ --plugin ${plugin} --strategy fake --json`);
+    assert.equal(result.exitCode, 0);
+    const json = JSON.parse(result.stdout);
+    assert.equal(json.method, "fake");
+    assert.equal(json.segments[0].text, "from plugin");
+  });
+
+  it("exits with the error class's code and prints the failures as JSON", () => {
+    const plugin = join(CACHE_DIR, "no-captions.mjs");
+    const errors = pathToFileURL(join(import.meta.dirname, "..", "lib", "errors.mjs")).href;
+    writeFileSync(
+      plugin,
+      `import { NoCaptionsError } from "${errors}";
+export default { name: "bare", label: "Bare", fetch: () => { throw new NoCaptionsError("no tracks"); } };`,
+    );
+    const args = `dQw4w9WgXcQ --plugin ${plugin} --strategy bare`;
+    const text = replay(args);
+    assert.equal(text.exitCode, 3);
+    assert.ok(text.stderr.includes("- Bare: no tracks"));
+
+    const result = replay(`${args} --json`);
+    assert.equal(result.exitCode, 3);
+    const json = JSON.parse(result.stdout);
+    assert.equal(json.code, "NO_CAPTIONS");
+    assert.deepEqual(json.errors, [{ strategy: "Bare", code: "NO_CAPTIONS", message: "no tracks" }]);
+  });
+});
+
+describe("CLI cache command", () => {
+  it("lists an empty cache", () => {
+    const result = run("cache list");
+    assert.equal(result.exitCode, 0);
+    assert.ok(result.stdout.includes("No cached transcripts"));
+  });
+
+  it("lists as JSON", () => {
+    const result = run("cache list --json");
+    assert.deepEqual(JSON.parse(result.stdout), { dir: CACHE_DIR, entries: [] });
+  });
+
+  it("exits 2 for an unknown cache command", () => {
+    const result = run("cache wipe");
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Unknown cache command"));
+  });
+
+  it("exits 2 for an invalid --cache-ttl", () => {
+    assert.equal(run("cache prune --cache-ttl soon").exitCode, 2);
   });
 });
 
 describe("CLI output format", () => {
-  it("outputs valid JSON when --json flag is used (if transcript available)", () => {
-    const result = run("dQw4w9WgXcQ --json", { timeout: 30000 });
-    if (result.exitCode === 0) {
-      const parsed = JSON.parse(result.stdout);
-      assert.ok(parsed.videoId, "JSON should contain videoId");
-      assert.ok(parsed.title, "JSON should contain title");
-      assert.ok(parsed.method, "JSON should contain method");
-      assert.ok(typeof parsed.segmentCount === "number", "JSON should contain segmentCount");
-      assert.ok(Array.isArray(parsed.segments), "JSON should contain segments array");
-    }
-    // If exit 1 (no captions), that is acceptable for this test
-  });
-
-  it("outputs markdown by default (if transcript available)", () => {
-    const result = run("dQw4w9WgXcQ", { timeout: 30000 });
-    if (result.exitCode === 0) {
-      assert.ok(result.stdout.startsWith("#"), "Markdown should start with heading");
-      assert.ok(result.stdout.includes("---"), "Markdown should contain horizontal rules");
-      assert.ok(result.stdout.includes("Generated by FastyTranscript CLI"));
-    }
-  });
-
-  it("includes timestamps when --timestamps flag is used (if transcript available)", () => {
-    const result = run("dQw4w9WgXcQ --timestamps", { timeout: 30000 });
-    if (result.exitCode === 0) {
-      // Timestamps look like [00:00] or [01:23]
-      assert.ok(/\[\d{2}:\d{2}\]/.test(result.stdout), "Should contain timestamp markers");
-    }
+  it("outputs valid JSON when --json flag is used", () => {
+    const result = replay("dQw4w9WgXcQ --json");
+    assert.equal(result.exitCode, 0);
+    const parsed = JSON.parse(result.stdout);
+    assert.equal(parsed.videoId, "dQw4w9WgXcQ");
+    assert.equal(parsed.title, "Fixture Video");
+    assert.equal(parsed.method, "android");
+    assert.equal(parsed.segmentCount, 4);
+    assert.ok(Array.isArray(parsed.segments), "JSON should contain segments array");
+  });
+
+  it("outputs markdown by default", () => {
+    const result = replay("dQw4w9WgXcQ");
+    assert.equal(result.exitCode, 0);
+    assert.ok(result.stdout.includes("\n# Fixture Video\n"), "Markdown should contain the title heading");
+    assert.ok(result.stdout.includes("---"), "Markdown should contain horizontal rules");
+    assert.ok(result.stdout.includes("Generated by FastyTranscript CLI"));
+  });
+
+  it("includes timestamps when --timestamps flag is used", () => {
+    const result = replay("dQw4w9WgXcQ --timestamps");
+    assert.equal(result.exitCode, 0);
+    // Timestamps look like [00:00] or [01:23]
+    assert.ok(/\[\d{2}:\d{2}\]/.test(result.stdout), "Should contain timestamp markers");
+  });
+
+  it("outputs SRT cues when --format srt is used", () => {
+    const result = replay("dQw4w9WgXcQ --format srt");
+    assert.equal(result.exitCode, 0);
+    assert.ok(result.stdout.startsWith("1\n"), "SRT should start with cue number 1");
+    assert.ok(result.stdout.includes("00:00:00,500 --> 00:00:03,700"));
+  });
+});
+
+describe("CLI against recorded failures", () => {
+  it("falls back to yt-dlp through the fake executable", () => {
+    const result = replay("dQw4w9WgXcQ --json", "ytdlp");
+    assert.equal(result.exitCode, 0);
+    assert.equal(JSON.parse(result.stdout).method, "yt-dlp");
+  });
+
+  it("exits 6 when every strategy is rate limited", () => {
+    const result = replay("dQw4w9WgXcQ --json", "captcha");
+    assert.equal(result.exitCode, 6);
+    assert.equal(JSON.parse(result.stdout).code, "RATE_LIMITED");
+  });
+
+  it("exits 3 when every caption track comes back empty", () => {
+    const result = replay("dQw4w9WgXcQ --json", "empty-track");
+    assert.equal(result.exitCode, 3);
+    assert.equal(JSON.parse(result.stdout).code, "NO_CAPTIONS");
+  });
+
+  it("exits 4 for an unavailable video", () => {
+    const result = replay("dQw4w9WgXcQ", "unavailable");
+    assert.equal(result.exitCode, 4);
+    assert.ok(result.stderr.includes("- Page scraping: This video is unavailable"));
+  });
+});
+
+describe("CLI notes vault", () => {
+  const vault = mkdtempSync(join(tmpdir(), "fastytranscript-vault-"));
+  after(() => rmSync(vault, { recursive: true, force: true }));
+
+  it("saves a templated note with front matter and prints its path", () => {
+    const template = join(vault, "template.md");
+    writeFileSync(template, "# {title}\n\nBy {channel} on {date}\n\n{transcript}\n");
+    const result = replay(`dQw4w9WgXcQ --out ${vault}/notes --filename "{channel} - {title}" --template ${template}`);
+    assert.equal(result.exitCode, 0);
+    const file = join(vault, "notes", "Fixture_Channel - Fixture_Video.md");
+    assert.equal(result.stdout.trim(), file);
+    const note = readFileSync(file, "utf-8");
+    assert.match(note, /^---\ntitle: "Fixture Video"\n/);
+    assert.match(note, /\n---\n\n# Fixture Video\n\nBy Fixture Channel on \d{4}-\d{2}-\d{2}\n\n## Intro \(00:00\)\n/);
+  });
+
+  it("suffixes or skips an existing note and sorts batches by channel", () => {
+    const args = `dQw4w9WgXcQ --out ${vault}/dupes --no-front-matter`;
+    assert.equal(replay(args).exitCode, 0);
+    assert.ok(replay(args).stdout.trim().endsWith("Fixture_Video-2.md"));
+    const skipped = replay(`${args} --on-collision skip`);
+    assert.equal(skipped.exitCode, 0);
+    assert.equal(skipped.stdout, "");
+    assert.deepEqual(readdirSync(join(vault, "dupes")).sort(), ["Fixture_Video-2.md", "Fixture_Video.md"]);
+    assert.match(readFileSync(join(vault, "dupes", "Fixture_Video.md"), "utf-8"), /^# Fixture Video\n/);
+
+    const batch = run(`--batch - --out ${vault}/channels --by-channel --plugin ${REPLAY} --no-cache`, {
+      input: "dQw4w9WgXcQ\n",
+      env: { ...process.env, FASTYTRANSCRIPT_CACHE_DIR: CACHE_DIR, FASTYTRANSCRIPT_CASSETTE: "android" },
+    });
+    assert.equal(batch.exitCode, 0);
+    assert.ok(batch.stdout.includes(join(vault, "channels", "Fixture_Channel", "Fixture_Video.md")));
+  });
+
+  it("exits 2 when the --out folder can't be written", () => {
+    const file = join(vault, "a-file");
+    writeFileSync(file, "");
+    const result = replay(`dQw4w9WgXcQ --out ${file}/vault`);
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes(`Cannot write note to ${file}/vault:`));
+    assert.ok(!result.stderr.includes("at async"), "no stack trace");
+  });
+
+  it("exits 2 for an unknown --on-collision mode", () => {
+    const result = run(`dQw4w9WgXcQ --out ${vault} --on-collision rename`);
+    assert.equal(result.exitCode, 2);
+    assert.ok(result.stderr.includes("Invalid --on-collision: rename"));
   });
 });
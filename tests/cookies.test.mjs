@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { cookieHeader, loadCookieFile, parseCookiesTxt } from "../lib/cookies.mjs";
+
+// ── lib/cookies.mjs ─────────────────────────────────────────────────────────
+
+const COOKIES_TXT = [
+  "# Netscape HTTP Cookie File",
+  "# This is a generated file! Do not edit.",
+  "",
+  ".youtube.com\tTRUE\t/\tTRUE\t0\tSID\tabc",
+  "#HttpOnly_.youtube.com\tTRUE\t/\tTRUE\t4102444800\tLOGIN_INFO\tx:y",
+  "www.youtube.com\tFALSE\t/watch\tFALSE\t4102444800\tPREF\thl=en",
+  ".youtube.com\tTRUE\t/\tFALSE\t1000\tOLD\tgone",
+  "malformed line",
+].join("\n");
+
+describe("parseCookiesTxt", () => {
+  it("reads cookie lines, including HttpOnly ones, and skips comments", () => {
+    const cookies = parseCookiesTxt(COOKIES_TXT);
+    assert.deepEqual(
+      cookies.map((c) => c.name),
+      ["SID", "LOGIN_INFO", "PREF", "OLD"],
+    );
+    assert.deepEqual(cookies[0], {
+      domain: "youtube.com",
+      includeSubdomains: true,
+      path: "/",
+      secure: true,
+      expires: 0,
+      name: "SID",
+      value: "abc",
+    });
+    assert.equal(cookies[2].includeSubdomains, false);
+  });
+
+  it("handles CRLF line endings", () => {
+    assert.equal(parseCookiesTxt(COOKIES_TXT.replace(/\n/g, "\r\n"))[0].value, "abc");
+  });
+});
+
+describe("cookieHeader", () => {
+  const cookies = parseCookiesTxt(COOKIES_TXT);
+  const now = Date.parse("2026-01-01T00:00:00Z");
+
+  it("sends matching, unexpired cookies", () => {
+    assert.equal(
+      cookieHeader(cookies, "https://www.youtube.com/watch?v=x", now),
+      "SID=abc; LOGIN_INFO=x:y; PREF=hl=en",
+    );
+  });
+
+  it("respects domain, subdomain flag, path and secure", () => {
+    assert.equal(cookieHeader(cookies, "https://youtube.com/youtubei/v1/player", now), "SID=abc; LOGIN_INFO=x:y");
+    assert.equal(cookieHeader(cookies, "https://m.youtube.com/watch", now), "SID=abc; LOGIN_INFO=x:y");
+    assert.equal(cookieHeader(cookies, "http://www.youtube.com/watch", now), "PREF=hl=en");
+    assert.equal(cookieHeader(cookies, "https://notyoutube.com/", now), "");
+    assert.equal(cookieHeader(cookies, "https://www.google.com/", now), "");
+  });
+});
+
+describe("loadCookieFile", () => {
+  it("loads a file and rejects one without cookies", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "fastytranscript-cookies-"));
+    try {
+      writeFileSync(join(dir, "cookies.txt"), COOKIES_TXT);
+      writeFileSync(join(dir, "empty.txt"), "# Netscape HTTP Cookie File\n");
+      assert.equal((await loadCookieFile(join(dir, "cookies.txt"))).length, 4);
+      await assert.rejects(loadCookieFile(join(dir, "empty.txt")), /contains no cookies/);
+      await assert.rejects(loadCookieFile(join(dir, "missing.txt")), /ENOENT/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AgeRestrictedError,
+  AllStrategiesFailedError,
+  classifyPlayability,
+  errorCode,
+  EXIT_CODES,
+  exitCodeFor,
+  httpStatusError,
+  NetworkError,
+  NoCaptionsError,
+  RateLimitedError,
+  toStrategyFailure,
+  TranscriptError,
+  VideoUnavailableError,
+} from "../lib/errors.mjs";
+
+describe("classifyPlayability", () => {
+  it("treats OK and missing statuses as playable", () => {
+    assert.equal(classifyPlayability({ status: "OK" }), null);
+    assert.equal(classifyPlayability(undefined), null);
+  });
+
+  it("recognizes private videos", () => {
+    const error = classifyPlayability({ status: "LOGIN_REQUIRED", reason: "This video is private" });
+    assert.ok(error instanceof VideoUnavailableError);
+    assert.equal(error.code, "VIDEO_PRIVATE");
+    assert.equal(error.message, "This video is private");
+  });
+
+  it("recognizes age gates", () => {
+    assert.ok(
+      classifyPlayability({ status: "LOGIN_REQUIRED", reason: "Sign in to confirm your age" }) instanceof
+        AgeRestrictedError,
+    );
+    assert.ok(classifyPlayability({ status: "AGE_VERIFICATION_REQUIRED" }) instanceof AgeRestrictedError);
+    assert.equal(
+      classifyPlayability({ status: "UNPLAYABLE", reason: "This video may be inappropriate for some users." }).code,
+      "AGE_RESTRICTED",
+    );
+  });
+
+  it("treats the bot check as rate limiting", () => {
+    const error = classifyPlayability({ status: "LOGIN_REQUIRED", reason: "Sign in to confirm you’re not a bot" });
+    assert.ok(error instanceof RateLimitedError);
+  });
+
+  it("falls back to unavailable, using the first message when there is no reason", () => {
+    const error = classifyPlayability({ status: "ERROR", messages: ["This video has been removed by the uploader"] });
+    assert.equal(error.code, "VIDEO_UNAVAILABLE");
+    assert.equal(error.message, "This video has been removed by the uploader");
+    assert.equal(classifyPlayability({ status: "UNPLAYABLE" }).message, "UNPLAYABLE");
+  });
+});
+
+describe("httpStatusError", () => {
+  it("maps statuses to error classes", () => {
+    assert.ok(httpStatusError("ANDROID API", 429) instanceof RateLimitedError);
+    assert.ok(httpStatusError("ANDROID API", 404) instanceof VideoUnavailableError);
+    assert.equal(httpStatusError("ANDROID API", 503).status, 503);
+    assert.ok(httpStatusError("ANDROID API", 503) instanceof NetworkError);
+    assert.equal(httpStatusError("ANDROID API", 403).code, "UNKNOWN");
+    assert.equal(httpStatusError("ANDROID API", 403).message, "ANDROID API returned 403");
+  });
+});
+
+describe("AllStrategiesFailedError", () => {
+  it("lists each failure under the headline", () => {
+    const error = new AllStrategiesFailedError([
+      toStrategyFailure("ANDROID API", new RateLimitedError("ANDROID API returned 429")),
+      toStrategyFailure("Page scraping", new Error("boom")),
+    ]);
+    assert.equal(
+      error.message,
+      "No transcript available. All methods failed:\n- ANDROID API: ANDROID API returned 429\n- Page scraping: boom",
+    );
+    assert.equal(error.code, "RATE_LIMITED");
+    assert.deepEqual(error.failures[1], { strategy: "Page scraping", code: "UNKNOWN", message: "boom" });
+  });
+
+  it("prefers what the video's status says over transport failures", () => {
+    const error = new AllStrategiesFailedError(
+      [new NetworkError("timed out"), new NoCaptionsError("no tracks"), new RateLimitedError("captcha")].map((e) =>
+        toStrategyFailure("s", e),
+      ),
+      "Nothing:",
+    );
+    assert.equal(error.code, "NO_CAPTIONS");
+    assert.ok(error.message.startsWith("Nothing:\n- s: timed out"));
+  });
+
+  it("is UNKNOWN when no failure has a code", () => {
+    assert.equal(new AllStrategiesFailedError([toStrategyFailure("s", "oops")]).code, "UNKNOWN");
+  });
+});
+
+describe("exit codes", () => {
+  it("gives each error class its own exit code, keeping 2 for invalid input", () => {
+    assert.equal(exitCodeFor(new NoCaptionsError("x")), 3);
+    assert.equal(exitCodeFor(new VideoUnavailableError("x")), 4);
+    assert.equal(exitCodeFor(new AgeRestrictedError("x")), 5);
+    assert.equal(exitCodeFor(new RateLimitedError("x")), 6);
+    assert.equal(exitCodeFor(new NetworkError("x")), 7);
+    assert.equal(exitCodeFor(new Error("x")), 1);
+    assert.ok(!Object.values(EXIT_CODES).includes(2));
+  });
+
+  it("classifies body-read timeouts as network errors", () => {
+    assert.equal(errorCode(new DOMException("The operation timed out", "TimeoutError")), "NETWORK");
+    assert.equal(errorCode(new TranscriptError("x")), "UNKNOWN");
+  });
+});
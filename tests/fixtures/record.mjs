@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Record a cassette from live YouTube for the offline tests.
+ *
+ * Usage: node tests/fixtures/record.mjs <name> <video-id> [strategy,...]
+ *
+ * Runs fetchTranscript with the given strategies (default android) and saves every response as
+ * cassettes/<name>.json plus responses/<name>-<n>.*. With yt-dlp among the strategies, the real
+ * yt-dlp's --dump-json output is saved too, for bin/yt-dlp to replay. Trim the bodies before
+ * committing them: the tests only need the fields the parsers read.
+ */
+
+import { writeFile } from "fs/promises";
+import { join } from "path";
+import { setHttpDefaults } from "../../lib/http.mjs";
+import { runYtDlp } from "../../lib/ytdlp.mjs";
+import { fetchTranscript } from "../../lib/transcript.mjs";
+import { FIXTURES_DIR, recordingFetch, saveCassette } from "./replay.mjs";
+
+const [name, videoId, strategyList = "android"] = process.argv.slice(2);
+if (!name || !videoId) {
+  console.error("Usage: node tests/fixtures/record.mjs <name> <video-id> [strategy,...]");
+  process.exit(2);
+}
+const strategies = strategyList.split(",");
+
+const recorder = recordingFetch();
+setHttpDefaults({ fetch: recorder, retries: 0 });
+
+/** @type {{ output?: string, error?: string } | undefined} */
+let ytDlp;
+if (strategies.includes("yt-dlp")) {
+  try {
+    const output = `${name}-yt-dlp.json`;
+    const url = `https://www.youtube.com/watch?v=${videoId}`;
+    await writeFile(
+      join(FIXTURES_DIR, "responses", output),
+      await runYtDlp(["--skip-download", "--dump-json", "--", url]),
+    );
+    ytDlp = { output };
+  } catch (e) {
+    ytDlp = { error: e instanceof Error ? e.message : String(e) };
+  }
+}
+
+try {
+  const result = await fetchTranscript(videoId, { strategies });
+  console.log(`${result.method}: ${result.segments.length} segments`);
+} catch (e) {
+  console.log(`Failed (recorded anyway): ${e instanceof Error ? e.message : String(e)}`);
+}
+await saveCassette(name, recorder.recorded, { description: `Recorded from ${videoId} (${strategyList})`, ytDlp });
+console.log(`Saved cassettes/${name}.json with ${recorder.recorded.length} responses`);
@@ -0,0 +1,8 @@
+/**
+ * CLI plugin for the offline CLI tests: `--plugin tests/fixtures/replay-plugin.mjs` replays the
+ * cassette named by FASTYTRANSCRIPT_CASSETTE (default "android"). It registers no strategies.
+ */
+
+import { useCassette } from "./replay.mjs";
+
+await useCassette(process.env.FASTYTRANSCRIPT_CASSETTE || "android");
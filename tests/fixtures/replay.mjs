@@ -0,0 +1,171 @@
+/**
+ * Recorded-fixture replay for the offline tests. A cassette (cassettes/<name>.json) lists what
+ * YouTube answered — player JSON, watch-page HTML, caption XML — with the bodies kept in
+ * responses/. replayFetch serves them through httpFetch's injectable fetch, and bin/yt-dlp
+ * plays yt-dlp's part, so every strategy runs without the network.
+ */
+
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { join } from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { DEFAULT_HTTP_OPTIONS, setHttpDefaults } from "../../lib/http.mjs";
+import { DEFAULT_YTDLP_OPTIONS, setYtDlpDefaults } from "../../lib/ytdlp.mjs";
+
+export const FIXTURES_DIR = import.meta.dirname;
+export const FAKE_YTDLP = join(FIXTURES_DIR, "bin", "yt-dlp");
+
+/**
+ * @typedef {object} Interaction
+ * @property {string} [method] - Default GET
+ * @property {string} url - Answers requests whose URL starts with this
+ * @property {number} [status] - Default 200
+ * @property {Record<string, string>} [headers]
+ * @property {string} [body] - File in responses/
+ * @property {number} [delayMs] - Answer this much later (an abort still cuts the wait short)
+ */
+
+/**
+ * @typedef {object} Cassette
+ * @property {string} [description]
+ * @property {Interaction[]} interactions - Matching ones are used in order; the last one repeats
+ * @property {{ output?: string, error?: string }} [ytDlp] - For the fake yt-dlp: a file in responses/
+ *   to print for --dump-json, or the error it fails with
+ */
+
+/** @type {Record<string, string>} */
+const CONTENT_TYPES = {
+  ".json": "application/json; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".xml": "text/xml; charset=utf-8",
+};
+
+/**
+ * @param {string} name
+ * @param {string} [dir] - Holds cassettes/ and responses/
+ * @returns {Promise<Cassette>}
+ */
+export async function loadCassette(name, dir = FIXTURES_DIR) {
+  return JSON.parse(await readFile(join(dir, "cassettes", `${name}.json`), "utf-8"));
+}
+
+/**
+ * A fetch that answers from the cassette and throws (like a failed connection) for anything else.
+ * `requests` lists what was asked for, in order.
+ * @param {Cassette} cassette
+ * @param {string} [dir] - Holds responses/
+ * @returns {typeof fetch & { requests: Array<{ method: string, url: string }> }}
+ */
+export function replayFetch(cassette, dir = FIXTURES_DIR) {
+  /** @type {Set<Interaction>} */
+  const used = new Set();
+  /** @type {Array<{ method: string, url: string }>} */
+  const requests = [];
+
+  /** @param {string | URL | Request} input @param {RequestInit} [init] */
+  const replay = async (input, init = {}) => {
+    const url = input instanceof Request ? input.url : String(input);
+    const method = (init.method || "GET").toUpperCase();
+    requests.push({ method, url });
+    const matching = cassette.interactions.filter(
+      (i) => (i.method || "GET").toUpperCase() === method && url.startsWith(i.url),
+    );
+    const interaction = matching.find((i) => !used.has(i)) || matching[matching.length - 1];
+    if (!interaction) throw new TypeError(`No fixture for ${method} ${url}`);
+    used.add(interaction);
+
+    const signal = init.signal ?? undefined;
+    if (interaction.delayMs) await sleep(interaction.delayMs, undefined, { signal });
+    signal?.throwIfAborted();
+    const body = interaction.body ? await readFile(join(dir, "responses", interaction.body)) : null;
+    const extension = interaction.body?.match(/\.\w+$/)?.[0] || "";
+    return new Response(body, {
+      status: interaction.status || 200,
+      headers: { "Content-Type": CONTENT_TYPES[extension] || "text/plain", ...interaction.headers },
+    });
+  };
+  return Object.assign(/** @type {typeof fetch} */ (replay), { requests });
+}
+
+/**
+ * Arguments for bin/yt-dlp that make it answer as the cassette says.
+ * @param {Cassette} cassette
+ * @param {string} [dir] - Holds responses/
+ * @returns {string[]}
+ */
+export function fakeYtDlpArgs(cassette, dir = FIXTURES_DIR) {
+  const { output, error } = cassette.ytDlp || {};
+  if (error) return ["--fail", error];
+  return output ? ["--fixture", join(dir, "responses", output)] : ["--fail", "no yt-dlp output recorded"];
+}
+
+/**
+ * Route httpFetch and runYtDlp to the cassette until restoreDefaults. Retries are off so
+ * failures surface at once.
+ * @param {string} name
+ * @param {string} [dir]
+ * @returns {Promise<ReturnType<typeof replayFetch>>} The replaying fetch, for its `requests`
+ */
+export async function useCassette(name, dir = FIXTURES_DIR) {
+  const cassette = await loadCassette(name, dir);
+  const fetch = replayFetch(cassette, dir);
+  setHttpDefaults({ fetch, retries: 0 });
+  setYtDlpDefaults({ path: FAKE_YTDLP, extraArgs: fakeYtDlpArgs(cassette, dir) });
+  return fetch;
+}
+
+export function restoreDefaults() {
+  setHttpDefaults(DEFAULT_HTTP_OPTIONS);
+  setYtDlpDefaults(DEFAULT_YTDLP_OPTIONS);
+}
+
+/**
+ * Wrap a fetch so every response is kept for saveCassette.
+ * @param {typeof fetch} [inner]
+ * @returns {typeof fetch & { recorded: Array<Interaction & { content: Buffer, contentType: string }> }}
+ */
+export function recordingFetch(inner = fetch) {
+  /** @type {Array<Interaction & { content: Buffer, contentType: string }>} */
+  const recorded = [];
+  /** @param {string | URL | Request} input @param {RequestInit} [init] */
+  const record = async (input, init = {}) => {
+    const response = await inner(input, init);
+    const content = Buffer.from(await response.clone().arrayBuffer());
+    const location = response.headers.get("location");
+    recorded.push({
+      method: (init.method || "GET").toUpperCase(),
+      url: input instanceof Request ? input.url : String(input),
+      status: response.status,
+      ...(location && { headers: { Location: location } }),
+      content,
+      contentType: response.headers.get("content-type") || "",
+    });
+    return response;
+  };
+  return Object.assign(/** @type {typeof fetch} */ (record), { recorded });
+}
+
+/**
+ * Write what a recordingFetch saw as cassettes/<name>.json, with the bodies in responses/<name>-<n>.<ext>.
+ * @param {string} name
+ * @param {ReturnType<typeof recordingFetch>["recorded"]} recorded
+ * @param {Omit<Cassette, "interactions">} [extra] - description, ytDlp
+ * @param {string} [dir]
+ */
+export async function saveCassette(name, recorded, extra = {}, dir = FIXTURES_DIR) {
+  await mkdir(join(dir, "cassettes"), { recursive: true });
+  await mkdir(join(dir, "responses"), { recursive: true });
+  /** @type {Interaction[]} */
+  const interactions = [];
+  for (const [i, { content, contentType, ...interaction }] of recorded.entries()) {
+    if (content.length === 0) {
+      interactions.push(interaction);
+      continue;
+    }
+    const extension = Object.keys(CONTENT_TYPES).find((e) => contentType.includes(e.slice(1))) || ".txt";
+    const body = `${name}-${i + 1}${extension}`;
+    await writeFile(join(dir, "responses", body), content);
+    interactions.push({ ...interaction, body });
+  }
+  const cassette = { ...extra, interactions };
+  await writeFile(join(dir, "cassettes", `${name}.json`), `${JSON.stringify(cassette, null, 2)}\n`);
+}
@@ -0,0 +1,390 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatTimestamp,
+  videoUrl,
+  joinSegments,
+  joinSegmentsWithTimestamps,
+  formatTranscriptAsMarkdown,
+  formatCueTime,
+  toCues,
+  formatSrt,
+  formatVtt,
+  formatJson,
+  formatJsonl,
+  renderTranscript,
+  reflowSegments,
+  isPunctuated,
+  formatSegments,
+  splitByChapters,
+  formatFrontMatter,
+  OUTPUT_FORMATS,
+} from "../lib/formats.mjs";
+
+// ── lib/formats.mjs ─────────────────────────────────────────────────────────
+
+describe("text formatting", () => {
+  const segments = [
+    { text: "it&#39;s", start: 0, duration: 2 },
+    { text: "fine", start: 65.4, duration: 2 },
+  ];
+
+  it("formatTimestamp pads minutes and seconds", () => {
+    assert.equal(formatTimestamp(65.9), "01:05");
+  });
+
+  it("videoUrl starts playback at whole seconds", () => {
+    assert.equal(videoUrl("vid1"), "https://www.youtube.com/watch?v=vid1");
+    assert.equal(videoUrl("vid1", 65.9), "https://www.youtube.com/watch?v=vid1&t=65");
+    assert.equal(videoUrl("vid1", 0), "https://www.youtube.com/watch?v=vid1&t=0");
+  });
+
+  it("joinSegments decodes and joins with spaces", () => {
+    assert.equal(joinSegments(segments), "it's fine");
+  });
+
+  it("joinSegmentsWithTimestamps prefixes each line", () => {
+    assert.equal(joinSegmentsWithTimestamps(segments), "[00:00] it's\n[01:05] fine");
+  });
+
+  it("formatTranscriptAsMarkdown adds method line and generator footer", () => {
+    const md = formatTranscriptAsMarkdown("text", "vid1", "Title", {
+      method: "page",
+      generator: "FastyTranscript CLI",
+    });
+    assert.ok(md.startsWith("# Title\n\n**URL:** https://youtube.com/watch?v=vid1\n**Method:** page\n"));
+    assert.ok(md.endsWith("*Generated by FastyTranscript CLI*"));
+  });
+
+  it("formatTranscriptAsMarkdown states the caption kind and language", () => {
+    assert.ok(
+      formatTranscriptAsMarkdown("t", "v", "T", { kind: "asr", language: "en" }).includes(
+        "**Captions:** auto-generated (en)",
+      ),
+    );
+    assert.ok(formatTranscriptAsMarkdown("t", "v", "T", { kind: "manual" }).includes("**Captions:** manual\n"));
+  });
+
+  it("formatTranscriptAsMarkdown notes machine translation", () => {
+    const md = formatTranscriptAsMarkdown("t", "v", "T", { kind: "asr", language: "fr", translatedFrom: "en" });
+    assert.ok(md.includes("**Captions:** auto-generated (en → fr, machine-translated)"));
+  });
+
+  it("formatTranscriptAsMarkdown omits method line by default", () => {
+    const md = formatTranscriptAsMarkdown("text", "vid1", "Title");
+    assert.ok(!md.includes("**Method:**"));
+    assert.ok(md.endsWith("*Generated by FastyTranscript*"));
+  });
+});
+
+describe("reflow", () => {
+  const punctuated = [
+    { text: "Hello there. This is", start: 0, duration: 2 },
+    { text: "a test. Another", start: 2, duration: 2 },
+    { text: "one here!", start: 4, duration: 1 },
+    { text: "After a pause.", start: 9, duration: 2 },
+  ];
+  const asr = [
+    { text: "so today we", start: 0, duration: 1 },
+    { text: "talk about", start: 1, duration: 1 },
+    { text: "things", start: 2, duration: 0.5 },
+    { text: "and more", start: 4, duration: 1 },
+    { text: "later", start: 9, duration: 1 },
+  ];
+
+  it("isPunctuated tells manual captions from unpunctuated ASR", () => {
+    assert.equal(isPunctuated(punctuated), true);
+    assert.equal(isPunctuated(asr), false);
+    assert.equal(isPunctuated([]), false);
+  });
+
+  it("splits sentences at punctuation inside fragments and breaks paragraphs at long pauses", () => {
+    assert.deepEqual(reflowSegments(punctuated), [
+      { start: 0, text: "Hello there. This is a test. Another one here!" },
+      { start: 9, text: "After a pause." },
+    ]);
+  });
+
+  it("falls back to pause gaps and adds sentence case for unpunctuated captions", () => {
+    assert.deepEqual(reflowSegments(asr), [
+      { start: 0, text: "So today we talk about things. And more." },
+      { start: 9, text: "Later." },
+    ]);
+  });
+
+  it("limits paragraphs to sentencesPerParagraph", () => {
+    const paragraphs = reflowSegments(punctuated, { sentencesPerParagraph: 2 });
+    assert.deepEqual(
+      paragraphs.map((p) => p.text),
+      ["Hello there. This is a test.", "Another one here!", "After a pause."],
+    );
+  });
+
+  it("does not break a paragraph mid-sentence on a long pause", () => {
+    const segments = [
+      { text: "This sentence", start: 0, duration: 1 },
+      { text: "continues after silence.", start: 10, duration: 1 },
+    ];
+    assert.deepEqual(reflowSegments(segments), [{ start: 0, text: "This sentence continues after silence." }]);
+  });
+
+  it("caps run-on sentences at maxSentenceWords", () => {
+    const segments = [{ text: "one two three four five six", start: 0, duration: 1 }];
+    assert.equal(reflowSegments(segments, { maxSentenceWords: 3 })[0].text, "One two three four five six.");
+  });
+
+  it("formatSegments separates paragraphs with blank lines and timestamps them", () => {
+    assert.equal(
+      formatSegments(asr, { reflow: true, timestamps: true }),
+      "[00:00] So today we talk about things. And more.\n\n[00:09] Later.",
+    );
+  });
+});
+
+describe("subtitle formatting", () => {
+  const segments = [
+    { text: "Hello &amp; welcome", start: 1.5, duration: 2 },
+    { text: "   ", start: 3.5, duration: 1 },
+    { text: "second", start: 3661.25, duration: 0.5 },
+  ];
+
+  it("formatCueTime renders hours, minutes, seconds and milliseconds", () => {
+    assert.equal(formatCueTime(3661.25, ","), "01:01:01,250");
+    assert.equal(formatCueTime(0.0004, "."), "00:00:00.000");
+  });
+
+  it("toCues decodes text, drops empty cues and computes end times", () => {
+    assert.deepEqual(toCues(segments), [
+      { start: 1.5, end: 3.5, text: "Hello & welcome" },
+      { start: 3661.25, end: 3661.75, text: "second" },
+    ]);
+  });
+
+  it("toCues ends zero-duration segments at the next start", () => {
+    const cues = toCues([
+      { text: "a", start: 0, duration: 0 },
+      { text: "b", start: 2, duration: 0 },
+    ]);
+    assert.deepEqual(
+      cues.map((c) => c.end),
+      [2, 2],
+    );
+  });
+
+  it("formatSrt numbers cues and uses comma milliseconds", () => {
+    assert.equal(
+      formatSrt(segments),
+      "1\n00:00:01,500 --> 00:00:03,500\nHello & welcome\n\n2\n01:01:01,250 --> 01:01:01,750\nsecond\n",
+    );
+  });
+
+  it("formatVtt starts with a WEBVTT header and uses dot milliseconds", () => {
+    assert.equal(
+      formatVtt(segments),
+      "WEBVTT\n\n00:00:01.500 --> 00:00:03.500\nHello &amp; welcome\n\n01:01:01.250 --> 01:01:01.750\nsecond\n",
+    );
+  });
+
+  it("keeps markup and arrows in the text from breaking cues", () => {
+    const tricky = [{ text: "&lt;i&gt; fish &amp; chips --&gt; done", start: 0, duration: 1 }];
+    assert.equal(
+      formatVtt(tricky),
+      "WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n&lt;i&gt; fish &amp; chips --&gt; done\n",
+    );
+    assert.equal(formatSrt(tricky), "1\n00:00:00,000 --> 00:00:01,000\n<i> fish & chips -> done\n");
+  });
+});
+
+describe("renderTranscript", () => {
+  const result = {
+    videoId: "vid1",
+    title: "Title",
+    method: "android",
+    language: "en",
+    kind: "manual",
+    segments: [
+      { text: "one", start: 0, duration: 1 },
+      { text: "two", start: 1, duration: 1 },
+    ],
+    chapters: [],
+    errors: [],
+  };
+
+  it("md wraps text in the Markdown document", () => {
+    const md = renderTranscript(result, "md");
+    assert.ok(md.startsWith("# Title"));
+    assert.ok(md.includes("one two"));
+    assert.ok(!md.includes("**Method:**"));
+  });
+
+  it("md includes the method when asked", () => {
+    assert.ok(renderTranscript(result, "md", { includeMethod: true }).includes("**Method:** android"));
+  });
+
+  it("txt is the bare transcript", () => {
+    assert.equal(renderTranscript(result, "txt"), "one two");
+    assert.equal(renderTranscript(result, "txt", { timestamps: true }), "[00:00] one\n[00:01] two");
+  });
+
+  it("json carries metadata and segments", () => {
+    const parsed = JSON.parse(formatJson(result));
+    assert.equal(parsed.videoId, "vid1");
+    assert.equal(parsed.segmentCount, 2);
+    assert.deepEqual(parsed.segments, result.segments);
+  });
+
+  it("jsonl writes one segment per line", () => {
+    const lines = formatJsonl(result)
+      .split("\n")
+      .map((l) => JSON.parse(l));
+    assert.deepEqual(lines[1], { videoId: "vid1", start: 1, duration: 1, text: "two" });
+  });
+
+  it("renders every advertised format", () => {
+    for (const format of OUTPUT_FORMATS) {
+      assert.ok(renderTranscript(result, format).length > 0, format);
+    }
+  });
+
+  it("json records each strategy's outcome", () => {
+    const attempts = [
+      { strategy: "android", status: "failed", ms: 120 },
+      { strategy: "page", status: "won", ms: 300 },
+    ];
+    const parsed = JSON.parse(formatJson({ ...result, method: "page", attempts }));
+    assert.equal(parsed.method, "page");
+    assert.deepEqual(parsed.attempts, attempts);
+  });
+
+  it("json carries chapter boundaries", () => {
+    const chapters = [{ title: "Intro", start: 0, end: 2 }];
+    assert.deepEqual(JSON.parse(formatJson({ ...result, chapters })).chapters, chapters);
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(() => renderTranscript(result, "docx"), /Unknown output format/);
+  });
+});
+
+describe("chapters", () => {
+  const segments = [
+    { text: "welcome", start: 0, duration: 2 },
+    { text: "first", start: 2, duration: 2 },
+    { text: "second", start: 65, duration: 2 },
+  ];
+  const chapters = [
+    { title: "Intro", start: 0, end: 60 },
+    { title: "Main", start: 60, end: 120 },
+    { title: "Outro", start: 120, end: 130 },
+  ];
+  const result = {
+    videoId: "vid1",
+    title: "Title",
+    method: "page",
+    language: "en",
+    kind: "manual",
+    segments,
+    chapters,
+    errors: [],
+  };
+
+  it("splitByChapters groups segments by the chapter they start in", () => {
+    const sections = splitByChapters(segments, chapters);
+    assert.deepEqual(
+      sections.map((s) => s.segments.map((seg) => seg.text)),
+      [["welcome", "first"], ["second"], []],
+    );
+  });
+
+  it("splitByChapters puts segments before the first chapter in it", () => {
+    const late = [{ title: "Late", start: 10, end: 100 }];
+    assert.equal(splitByChapters(segments, late)[0].segments.length, 3);
+  });
+
+  it("md renders one section per chapter", () => {
+    const md = renderTranscript(result, "md");
+    assert.ok(md.includes("## Intro (00:00)\n\nwelcome first\n\n## Main (01:00)\n\nsecond\n\n## Outro (02:00)"));
+  });
+
+  it("txt uses plain chapter headings", () => {
+    assert.equal(
+      renderTranscript(result, "txt", { timestamps: true }),
+      "Intro (00:00)\n\n[00:00] welcome\n[00:02] first\n\nMain (01:00)\n\n[01:05] second\n\nOutro (02:00)",
+    );
+  });
+
+  it("chapters: false keeps a single block", () => {
+    assert.equal(renderTranscript(result, "txt", { chapters: false }), "welcome first second");
+  });
+});
+
+describe("metadata", () => {
+  const metadata = {
+    author: 'The "Best" Channel',
+    channelId: "UC123",
+    lengthSeconds: 754,
+    viewCount: 1000,
+    description: "First line\n\nSecond: line",
+    keywords: ["talk", "demo"],
+  };
+
+  it("formatFrontMatter writes a fenced YAML block", () => {
+    assert.equal(
+      formatFrontMatter("vid1", "A: title", metadata),
+      [
+        "---",
+        'title: "A: title"',
+        'videoId: "vid1"',
+        "url: https://youtube.com/watch?v=vid1",
+        'channel: "The \\"Best\\" Channel"',
+        'channelId: "UC123"',
+        "lengthSeconds: 754",
+        "viewCount: 1000",
+        'keywords: ["talk","demo"]',
+        "description: |-",
+        "  First line",
+        "",
+        "  Second: line",
+        "---",
+      ].join("\n"),
+    );
+  });
+
+  it("formatFrontMatter adds a date and works without metadata", () => {
+    assert.equal(
+      formatFrontMatter("vid1", "Title", null, "2026-03-10"),
+      [
+        "---",
+        'title: "Title"',
+        'videoId: "vid1"',
+        "url: https://youtube.com/watch?v=vid1",
+        "date: 2026-03-10",
+        "---",
+      ].join("\n"),
+    );
+  });
+
+  it("md starts with front matter and names the channel when metadata is known", () => {
+    const result = {
+      videoId: "vid1",
+      title: "Title",
+      method: "android",
+      language: "en",
+      kind: "manual",
+      segments: [{ text: "one", start: 0, duration: 1 }],
+      chapters: [],
+      metadata,
+      errors: [],
+    };
+    const md = renderTranscript(result, "md");
+    assert.ok(md.startsWith('---\ntitle: "Title"'));
+    assert.ok(md.includes("---\n\n# Title"));
+    assert.ok(md.includes('**Channel:** The "Best" Channel'));
+    assert.ok(md.includes("**Length:** 12:34"));
+    assert.deepEqual(JSON.parse(formatJson(result)).metadata, metadata);
+  });
+
+  it("md has no front matter without metadata", () => {
+    assert.ok(formatTranscriptAsMarkdown("text", "vid1", "Title").startsWith("# Title"));
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { writeCacheEntry } from "../lib/cache.mjs";
+import { filterHistory, historyChannels, loadHistory, matchSnippet } from "../lib/history.mjs";
+
+// ── lib/history.mjs ─────────────────────────────────────────────────────────
+
+/**
+ * @param {string} videoId
+ * @param {string} title
+ * @param {string | null} author
+ * @param {string} text
+ */
+const result = (videoId, title, author, text) => ({
+  videoId,
+  title,
+  method: "android",
+  language: "en",
+  kind: "manual",
+  segments: [{ text, start: 0, duration: 1 }],
+  chapters: [],
+  metadata: author ? { author, channelId: "UC", lengthSeconds: 60, viewCount: 1, description: "", keywords: [] } : null,
+  errors: [],
+});
+const NOW = new Date("2026-03-10T12:00:00Z");
+const daysAgo = (n) => new Date(NOW.getTime() - n * 86400000);
+
+let dir;
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "fastytranscript-history-"));
+  await writeCacheEntry(
+    dir,
+    result("aaaaaaaaaaa", "Rust Tips", "Ferris", "borrow checker &amp; lifetimes"),
+    {},
+    daysAgo(0.5),
+  );
+  await writeCacheEntry(
+    dir,
+    result("bbbbbbbbbbb", "Cooking Pasta", "Chef", "salt the water generously"),
+    {},
+    daysAgo(3),
+  );
+  await writeCacheEntry(dir, result("ccccccccccc", "Old Talk", null, "a talk about Rust macros"), {}, daysAgo(20));
+});
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("loadHistory", () => {
+  it("lists cached transcripts newest first with channel and decoded text", async () => {
+    const items = await loadHistory(dir);
+    assert.deepEqual(
+      items.map((i) => [i.videoId, i.channel]),
+      [
+        ["aaaaaaaaaaa", "Ferris"],
+        ["bbbbbbbbbbb", "Chef"],
+        ["ccccccccccc", ""],
+      ],
+    );
+    assert.equal(items[0].text, "borrow checker & lifetimes");
+    assert.ok(items[0].file.startsWith(dir));
+  });
+
+  it("is empty without a cache directory", async () => {
+    assert.deepEqual(await loadHistory(join(dir, "missing")), []);
+  });
+});
+
+describe("filterHistory", () => {
+  const ids = (items) => items.map((i) => i.videoId);
+
+  it("searches titles, channels and transcript text, requiring every word", async () => {
+    const items = await loadHistory(dir);
+    assert.deepEqual(ids(filterHistory(items, { query: "rust" })), ["aaaaaaaaaaa", "ccccccccccc"]);
+    assert.deepEqual(ids(filterHistory(items, { query: "CHEF" })), ["bbbbbbbbbbb"]);
+    assert.deepEqual(ids(filterHistory(items, { query: "rust macros" })), ["ccccccccccc"]);
+    assert.deepEqual(ids(filterHistory(items, { query: "  " })), ids(items));
+  });
+
+  it("filters by channel and fetch date", async () => {
+    const items = await loadHistory(dir);
+    assert.deepEqual(ids(filterHistory(items, { channel: "Chef" })), ["bbbbbbbbbbb"]);
+    assert.deepEqual(ids(filterHistory(items, { period: "day", now: NOW })), ["aaaaaaaaaaa"]);
+    assert.deepEqual(ids(filterHistory(items, { period: "week", now: NOW })), ["aaaaaaaaaaa", "bbbbbbbbbbb"]);
+    assert.deepEqual(ids(filterHistory(items, { period: "month", now: NOW, query: "rust" })), [
+      "aaaaaaaaaaa",
+      "ccccccccccc",
+    ]);
+  });
+});
+
+describe("history helpers", () => {
+  it("lists distinct channels sorted", async () => {
+    assert.deepEqual(historyChannels(await loadHistory(dir)), ["Chef", "Ferris"]);
+  });
+
+  it("shows the transcript around the first match", () => {
+    const text = `${"intro ".repeat(20)}the answer is forty-two ${"outro ".repeat(20)}`;
+    const snippet = matchSnippet(text, "missing answer", 10);
+    assert.equal(snippet, "…intro the answer is…");
+    assert.equal(matchSnippet("short text", "short"), "short text");
+    assert.equal(matchSnippet("short text", "title-only"), null);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { httpFetch, isRetryableStatus, parseRetryAfter, retryDelay, DEFAULT_HTTP_OPTIONS } from "../lib/http.mjs";
+
+// ── lib/http.mjs ────────────────────────────────────────────────────────────
+
+describe("retry policy", () => {
+  it("retries rate limiting and server errors only", () => {
+    assert.ok(isRetryableStatus(429));
+    assert.ok(isRetryableStatus(503));
+    assert.ok(!isRetryableStatus(501));
+    assert.ok(!isRetryableStatus(404));
+    assert.ok(!isRetryableStatus(200));
+  });
+
+  it("parses Retry-After seconds and dates", () => {
+    assert.equal(parseRetryAfter("3"), 3000);
+    assert.equal(parseRetryAfter("Wed, 21 Oct 2015 07:28:05 GMT", Date.parse("Wed, 21 Oct 2015 07:28:00 GMT")), 5000);
+    assert.equal(parseRetryAfter(null), undefined);
+    assert.equal(parseRetryAfter("soon"), undefined);
+  });
+
+  it("backs off exponentially with full jitter, capped", () => {
+    const options = { ...DEFAULT_HTTP_OPTIONS, backoffMs: 100, maxBackoffMs: 1000 };
+    assert.equal(
+      retryDelay(0, options, undefined, () => 1),
+      100,
+    );
+    assert.equal(
+      retryDelay(2, options, undefined, () => 1),
+      400,
+    );
+    assert.equal(
+      retryDelay(10, options, undefined, () => 1),
+      1000,
+    );
+    assert.equal(
+      retryDelay(2, options, undefined, () => 0.5),
+      200,
+    );
+  });
+
+  it("prefers Retry-After and gives up on ones that are too long", () => {
+    const options = { ...DEFAULT_HTTP_OPTIONS, maxRetryAfterMs: 5000 };
+    assert.equal(retryDelay(0, options, 2000), 2000);
+    assert.equal(retryDelay(0, options, 60000), null);
+  });
+});
+
+describe("httpFetch", () => {
+  let server;
+  let base;
+  const hits = {};
+  // Each path answers with the listed statuses in turn, then 200
+  const scripts = {
+    "/flaky": [503, 503],
+    "/limited": [429],
+    "/long-limit": [429],
+    "/missing": [404],
+    "/down": [500, 500, 500, 500],
+  };
+
+  before(async () => {
+    server = createServer((req, res) => {
+      const n = (hits[req.url] = (hits[req.url] || 0) + 1);
+      if (req.url === "/hang") return; // never answers
+      if (req.url.startsWith("/private")) {
+        res.writeHead(302, { Location: "/cookie" });
+        return res.end();
+      }
+      if (req.url === "/cookie") return res.end(req.headers.cookie || "");
+      const status = scripts[req.url]?.[n - 1] ?? 200;
+      if (req.url === "/limited") res.setHeader("Retry-After", "0");
+      if (req.url === "/long-limit") res.setHeader("Retry-After", "3600");
+      res.writeHead(status);
+      res.end(`attempt ${n}`);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const fast = { backoffMs: 1, timeoutMs: 2000 };
+
+  it("retries 5xx until success", async () => {
+    const response = await httpFetch(`${base}/flaky`, {}, { ...fast, retries: 2 });
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), "attempt 3");
+  });
+
+  it("honours a short Retry-After", async () => {
+    const response = await httpFetch(`${base}/limited`, {}, fast);
+    assert.equal(response.status, 200);
+  });
+
+  it("returns the 429 when Retry-After is longer than it is worth waiting", async () => {
+    const response = await httpFetch(`${base}/long-limit`, {}, fast);
+    assert.equal(response.status, 429);
+    assert.equal(hits["/long-limit"], 1);
+  });
+
+  it("does not retry other client errors", async () => {
+    const response = await httpFetch(`${base}/missing`, {}, fast);
+    assert.equal(response.status, 404);
+    assert.equal(hits["/missing"], 1);
+  });
+
+  it("returns the last failure once retries run out", async () => {
+    const response = await httpFetch(`${base}/down`, {}, { ...fast, retries: 1 });
+    assert.equal(response.status, 500);
+    assert.equal(hits["/down"], 2);
+  });
+
+  it("times out hung requests", async () => {
+    await assert.rejects(
+      httpFetch(`${base}/hang`, {}, { timeoutMs: 50, retries: 1, backoffMs: 1 }),
+      /timed out after 50ms/,
+    );
+    assert.equal(hits["/hang"], 2);
+  });
+
+  it("sends matching cookies and recomputes them after a redirect", async () => {
+    const cookie = (name, path) => ({ domain: "127.0.0.1", includeSubdomains: false, path, secure: false, expires: 0, name, value: "1" });
+    const cookies = [cookie("everywhere", "/"), cookie("private", "/private")];
+    assert.equal(await (await httpFetch(`${base}/cookie`, {}, { ...fast, cookies })).text(), "everywhere=1");
+    // The /private cookie went to /private/x but must not follow the redirect to /cookie
+    assert.equal(await (await httpFetch(`${base}/private/x`, {}, { ...fast, cookies })).text(), "everywhere=1");
+  });
+
+  it("stops at once when the caller aborts", async () => {
+    const controller = new AbortController();
+    const pending = httpFetch(`${base}/hang`, { signal: controller.signal }, { timeoutMs: 5000, retries: 3 });
+    controller.abort();
+    await assert.rejects(pending, { name: "AbortError" });
+  });
+});
@@ -86,6 +86,13 @@ describe("lib/parsers vttToPlainText", () => {
     const vtt = "WEBVTT\n\n\n\nHello\n\n\nWorld";
     assert.equal(vttToPlainText(vtt), "Hello World");
   });
+
+  it("collapses rolling captions in timed cues", () => {
+    const vtt =
+      "WEBVTT\n\n00:00.000 --> 00:02.000\nhello<00:00:01.000><c> there</c>\n\n" +
+      "00:02.000 --> 00:04.000\nhello there\ngeneral<00:00:03.000><c> kenobi</c>";
+    assert.equal(vttToPlainText(vtt), "hello there general kenobi");
+  });
 });
 
 describe("lib/parsers sanitizeFilename", () => {
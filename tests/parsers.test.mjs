@@ -1,76 +1,45 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-
-// ── Inline copies of pure functions from src/utils.ts ──────────────────────
-// These are pure string-manipulation functions duplicated here so we can test
-// without compiling TypeScript.  Keep in sync with src/utils.ts.
-
-function extractVideoId(url) {
-  const patterns = [
-    /(?:https?:\/\/)?(?:www\.)?youtu\.be\/([a-zA-Z0-9_-]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/watch\?v=([a-zA-Z0-9_-]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/embed\/([a-zA-Z0-9_-]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/shorts\/([a-zA-Z0-9_-]+)/,
-    /^([a-zA-Z0-9_-]{11})$/,
-  ];
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match && match[1]) return match[1];
-  }
-  return null;
-}
-
-function decodeHtmlEntities(text) {
-  return text
-    .replace(/&#39;/g, "'")
-    .replace(/&quot;/g, '"')
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&nbsp;/g, " ")
-    .replace(/&#(\d+);/g, (_, num) => String.fromCharCode(parseInt(num)))
-    .replace(/\s+/g, " ");
-}
-
-function parseTranscriptXml(xml) {
-  const srv1Re = /<text[^>]*>([^<]*)<\/text>/g;
-  const srv1Segments = [];
-  let m;
-  while ((m = srv1Re.exec(xml)) !== null) {
-    if (m[1].trim()) srv1Segments.push(m[1]);
-  }
-  if (srv1Segments.length > 0) return srv1Segments;
-
-  const pRe = /<p[^>]*>([\s\S]*?)<\/p>/g;
-  const srv3Segments = [];
-  while ((m = pRe.exec(xml)) !== null) {
-    const inner = m[1];
-    const words = [];
-    const sRe = /<s[^>]*>([^<]*)<\/s>/g;
-    let s;
-    while ((s = sRe.exec(inner)) !== null) {
-      if (s[1]) words.push(s[1]);
-    }
-    if (words.length > 0) {
-      srv3Segments.push(words.join(""));
-    } else {
-      const stripped = inner.replace(/<[^>]+>/g, "").trim();
-      if (stripped) srv3Segments.push(stripped);
-    }
-  }
-  return srv3Segments;
-}
-
-function extractJsonObject(str, startIdx) {
-  if (str[startIdx] !== "{") return null;
-  let depth = 0;
-  for (let i = startIdx; i < str.length; i++) {
-    if (str[i] === "{") depth++;
-    else if (str[i] === "}") depth--;
-    if (depth === 0) return str.substring(startIdx, i + 1);
-  }
-  return null;
-}
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import {
+  extractVideoId,
+  decodeHtmlEntities,
+  decodeEntities,
+  parseTranscriptXml,
+  parseTranscriptJson3,
+  parseCaptions,
+  detectCaptionFormat,
+  withCaptionFormat,
+  parseSubtitles,
+  parseCueTime,
+  isSrt,
+  extractJsonObject,
+  pickTrack,
+  rankTracks,
+  pickTrackUrl,
+  parseLanguageList,
+  matchesLanguage,
+  describeCaptionTrack,
+  extractCaptionTracklistFromHtml,
+  selectCaptionTrack,
+  resolveTranslationLanguage,
+  withTranslation,
+  parseClock,
+  parseDescriptionChapters,
+  extractChaptersFromHtml,
+  closeChapters,
+  parseVideoDetails,
+  registerStrategy,
+  listStrategies,
+  resolveStrategies,
+  fetchTranscript,
+  DEFAULT_STRATEGIES,
+  runStrategies,
+} from "../lib/transcript.mjs";
+import { AllStrategiesFailedError, RateLimitedError, VideoUnavailableError } from "../lib/errors.mjs";
+
+const texts = (segments) => segments.map((s) => s.text);
 
 // ── Tests ──────────────────────────────────────────────────────────────────
 
@@ -176,22 +145,45 @@ describe("decodeHtmlEntities", () => {
   });
 });
 
+describe("decodeEntities", () => {
+  it("decodes hex, decimal and astral references", () => {
+    assert.equal(decodeEntities("it&#x27;s &#X2014; &#8220;ok&#8221; &#128512;"), "it's — “ok” 😀");
+  });
+
+  it("decodes named entities, including accented letters", () => {
+    assert.equal(decodeEntities("caf&eacute; &Ntilde; &hellip; &rsquo; &apos;"), "café Ñ … ’ '");
+  });
+
+  it("decodes once, so an escaped ampersand stays an entity", () => {
+    assert.equal(decodeEntities("&amp;lt;b&amp;gt;"), "&lt;b&gt;");
+  });
+
+  it("keeps unknown and invalid references as written", () => {
+    const text = "&bogus; &#0; &#xD800; &#x110000; & alone";
+    assert.equal(decodeEntities(text), text);
+  });
+
+  it("backs decodeHtmlEntities, which also collapses whitespace", () => {
+    assert.equal(decodeHtmlEntities("don&#x27;t\n  stop"), "don't stop");
+  });
+});
+
 describe("parseTranscriptXml – srv1 format", () => {
   it("parses standard srv1 XML", () => {
     const xml = `<transcript><text start="0" dur="5">Hello world</text><text start="5" dur="3">Second line</text></transcript>`;
-    const result = parseTranscriptXml(xml);
+    const result = texts(parseTranscriptXml(xml));
     assert.deepEqual(result, ["Hello world", "Second line"]);
   });
 
   it("skips empty segments", () => {
     const xml = `<transcript><text start="0" dur="5">Hello</text><text start="5" dur="3">   </text><text start="8" dur="2">World</text></transcript>`;
-    const result = parseTranscriptXml(xml);
+    const result = texts(parseTranscriptXml(xml));
     assert.deepEqual(result, ["Hello", "World"]);
   });
 
   it("handles entities in srv1 content", () => {
     const xml = `<transcript><text start="0" dur="5">it&#39;s &amp; good</text></transcript>`;
-    const result = parseTranscriptXml(xml);
+    const result = texts(parseTranscriptXml(xml));
     assert.deepEqual(result, ["it&#39;s &amp; good"]);
   });
 });
@@ -199,23 +191,180 @@ describe("parseTranscriptXml – srv1 format", () => {
 describe("parseTranscriptXml – srv3 format", () => {
   it("parses srv3 XML with <s> tags", () => {
     const xml = `<timedtext><body><p t="0" d="5000"><s>Hello </s><s>world</s></p><p t="5000" d="3000"><s>Second</s></p></body></timedtext>`;
-    const result = parseTranscriptXml(xml);
+    const result = texts(parseTranscriptXml(xml));
     assert.deepEqual(result, ["Hello world", "Second"]);
   });
 
   it("falls back to stripped text when no <s> tags", () => {
     const xml = `<timedtext><body><p t="0" d="5000">Plain text here</p></body></timedtext>`;
-    const result = parseTranscriptXml(xml);
+    const result = texts(parseTranscriptXml(xml));
     assert.deepEqual(result, ["Plain text here"]);
   });
 
   it("handles multiple <s> tags per <p>", () => {
     const xml = `<timedtext><body><p t="0" d="5000"><s>one </s><s>two </s><s>three</s></p></body></timedtext>`;
-    const result = parseTranscriptXml(xml);
+    const result = texts(parseTranscriptXml(xml));
     assert.deepEqual(result, ["one two three"]);
   });
 });
 
+describe("parseTranscriptXml – srv2 and tolerant parsing", () => {
+  it("reads srv2 <text t d> in milliseconds", () => {
+    const xml = `<timedtext><window id="1" t="0" op="define" rc="2"/><text t="1200" d="800" w="1">Hi</text><text d="500" t="2000" append="1">there</text></timedtext>`;
+    assert.deepEqual(parseTranscriptXml(xml), [
+      { text: "Hi", start: 1.2, duration: 0.8 },
+      { text: "there", start: 2, duration: 0.5 },
+    ]);
+  });
+
+  it("accepts attributes in any order and single quotes", () => {
+    const xml = `<transcript><text dur='2' start='1'>Hi</text></transcript>`;
+    assert.deepEqual(parseTranscriptXml(xml), [{ text: "Hi", start: 1, duration: 2 }]);
+  });
+
+  it("turns <br> into a space and drops srv3 word spans with attributes", () => {
+    const xml = `<timedtext format="3"><body><p t="0" d="900" w="1"><s ac="0">one</s><s t="300" ac="252"> two</s><br/>three</p></body></timedtext>`;
+    assert.deepEqual(texts(parseTranscriptXml(xml)), ["one two three"]);
+  });
+
+  it("strips markup YouTube escaped into srv1 text but keeps entities", () => {
+    const xml = `<transcript><text start="0" dur="1">&lt;font color=&quot;#E5E5E5&quot;&gt;rock &amp;amp; roll&lt;/font&gt;&lt;br&gt;now</text></transcript>`;
+    assert.deepEqual(texts(parseTranscriptXml(xml)), ["rock &amp;amp; roll now"]);
+  });
+
+  it("skips elements without a start time", () => {
+    assert.deepEqual(parseTranscriptXml(`<body><p>no timing</p></body>`), []);
+  });
+
+  it("skips self-closing elements instead of lending their timing to the next one", () => {
+    const xml = `<body><p t="0" d="1"/><p t="1000" d="1000">Hi</p><text start="3" dur="1" /><text start="4" dur="1">there</text></body>`;
+    assert.deepEqual(parseTranscriptXml(xml), [
+      { text: "Hi", start: 1, duration: 1 },
+      { text: "there", start: 4, duration: 1 },
+    ]);
+  });
+});
+
+describe("parseTranscriptJson3", () => {
+  it("joins each event's segs and skips window and newline events", () => {
+    const json = readFileSync(join(import.meta.dirname, "fixtures", "responses", "captions.json3"), "utf-8");
+    assert.deepEqual(parseTranscriptJson3(json), [
+      { text: "welcome to the recorded fixture", start: 0.5, duration: 3.2 },
+      { text: "every strategy reads these lines", start: 3.71, duration: 2.89 },
+    ]);
+  });
+
+  it("encodes & so literal entities survive decoding", () => {
+    const json = JSON.stringify({ events: [{ tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: "write &amp; for &" }] }] });
+    const [segment] = parseTranscriptJson3(json);
+    assert.equal(decodeHtmlEntities(segment.text), "write &amp; for &");
+  });
+
+  it("returns no segments for invalid JSON", () => {
+    assert.deepEqual(parseTranscriptJson3("{oops"), []);
+  });
+});
+
+describe("detectCaptionFormat / parseCaptions / withCaptionFormat", () => {
+  it("tells the formats apart", () => {
+    assert.equal(detectCaptionFormat(' {"events":[]}'), "json3");
+    assert.equal(detectCaptionFormat("WEBVTT\n\n"), "vtt");
+    assert.equal(detectCaptionFormat("1\n00:00:01,000 --> 00:00:02,000\nHi"), "srt");
+    assert.equal(detectCaptionFormat("<transcript/>"), "xml");
+  });
+
+  it("parses whichever format it is given", () => {
+    assert.deepEqual(texts(parseCaptions('{"events":[{"tStartMs":0,"segs":[{"utf8":"json"}]}]}')), ["json"]);
+    assert.deepEqual(texts(parseCaptions(`<transcript><text start="0">xml</text></transcript>`)), ["xml"]);
+  });
+
+  it("sets or replaces the fmt parameter", () => {
+    const url = "https://www.youtube.com/api/timedtext?v=x&fmt=srv3";
+    assert.equal(withCaptionFormat(url, "json3"), "https://www.youtube.com/api/timedtext?v=x&fmt=json3");
+  });
+});
+
+describe("parseTranscriptXml – timings", () => {
+  it("reads srv1 start/dur in seconds", () => {
+    const xml = `<transcript><text start="1.5" dur="2.25">Hi</text></transcript>`;
+    assert.deepEqual(parseTranscriptXml(xml), [{ text: "Hi", start: 1.5, duration: 2.25 }]);
+  });
+
+  it("converts srv3 t/d from milliseconds", () => {
+    const xml = `<timedtext><body><p t="1500" d="2250"><s>Hi</s></p></body></timedtext>`;
+    assert.deepEqual(parseTranscriptXml(xml), [{ text: "Hi", start: 1.5, duration: 2.25 }]);
+  });
+});
+
+describe("parseSubtitles", () => {
+  it("skips headers, cue numbers and timing lines", () => {
+    const vtt = "WEBVTT\nKind: captions\nLanguage: en\n\n1\n00:00:00.000 --> 00:00:02.000\nHello\n\n2\n00:00:02.000 --> 00:00:04.000\nWorld";
+    assert.deepEqual(texts(parseSubtitles(vtt)), ["Hello", "World"]);
+  });
+
+  it("strips inline tags and folds a hold cue into the line it repeats", () => {
+    const vtt = "WEBVTT\n\n00:00:00.000 --> 00:00:02.000\n<c>Hello</c>\n\n00:00:02.000 --> 00:00:02.010\nHello";
+    assert.deepEqual(parseSubtitles(vtt), [{ text: "Hello", start: 0, duration: 2.01 }]);
+  });
+
+  it("keeps cue timings and ignores cue settings, NOTE and STYLE blocks", () => {
+    const vtt =
+      "WEBVTT\n\nSTYLE\n::cue { color: lime }\n\nNOTE made by hand\n\n" +
+      "intro\n00:01.250 --> 00:03.000 align:start position:0%\n<v Ann>Hello <i>there</i>\n\n" +
+      "01:00:00.000 --> 01:00:02.500\nLate\nline";
+    assert.deepEqual(parseSubtitles(vtt), [
+      { text: "Hello there", start: 1.25, duration: 1.75 },
+      { text: "Late line", start: 3600, duration: 2.5 },
+    ]);
+  });
+
+  it("reads SRT with comma milliseconds and CRLF line ends", () => {
+    const srt = "1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\n\r\n2\r\n00:00:02,500 --> 00:00:04,000\r\nWorld\r\n";
+    assert.deepEqual(parseSubtitles(srt), [
+      { text: "Hello", start: 1, duration: 1.5 },
+      { text: "World", start: 2.5, duration: 1.5 },
+    ]);
+  });
+
+  it("collapses YouTube's rolling captions into one segment per line", () => {
+    const vtt = readFileSync(join(import.meta.dirname, "fixtures", "responses", "captions-asr.vtt"), "utf-8");
+    assert.deepEqual(parseSubtitles(vtt), [
+      { text: "welcome to the recorded fixture", start: 0.5, duration: 3.21 },
+      { text: "every strategy reads these lines", start: 3.71, duration: 2.9 },
+      { text: "without touching the network", start: 6.61, duration: 2.39 },
+    ]);
+  });
+
+  it("keeps manual cues that repeat the one before", () => {
+    const srt = "1\n00:00:01,000 --> 00:00:02,000\nNo\n\n2\n00:00:02,000 --> 00:00:03,000\nNo\n\n3\n00:00:03,000 --> 00:00:04,000\nNo way\n";
+    assert.deepEqual(texts(parseSubtitles(srt)), ["No", "No", "No way"]);
+  });
+
+  it("keeps a manual cue's first line when it repeats the previous cue's last line", () => {
+    const srt = "1\n00:00:01,000 --> 00:00:02,000\nI said\nNo\n\n2\n00:00:02,000 --> 00:00:03,000\nNo\nway\n";
+    assert.deepEqual(texts(parseSubtitles(srt)), ["I said No", "No way"]);
+  });
+
+  it("keeps multi-line cues that don't roll as one segment each", () => {
+    const vtt = "WEBVTT\n\n00:00.000 --> 00:02.000\nOne\nTwo\n\n00:02.000 --> 00:04.000\nThree\nFour";
+    assert.deepEqual(texts(parseSubtitles(vtt)), ["One Two", "Three Four"]);
+  });
+});
+
+describe("parseCueTime / isSrt", () => {
+  it("parses VTT and SRT cue times", () => {
+    assert.equal(parseCueTime("00:01.5"), 1.5);
+    assert.equal(parseCueTime("1:02:03.040"), 3723.04);
+    assert.equal(parseCueTime("00:00:09,999"), 9.999);
+  });
+
+  it("recognizes SRT by its numbered, comma-timed first cue", () => {
+    assert.equal(isSrt("1\n00:00:01,000 --> 00:00:02,000\nHi"), true);
+    assert.equal(isSrt("WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi"), false);
+    assert.equal(isSrt("<transcript></transcript>"), false);
+  });
+});
+
 describe("parseTranscriptXml – edge cases", () => {
   it("returns empty array for empty string", () => {
     assert.deepEqual(parseTranscriptXml(""), []);
@@ -260,3 +409,434 @@ describe("extractJsonObject", () => {
     assert.equal(extractJsonObject(str, idx), '{"x": 1}');
   });
 });
+
+describe("pickTrackUrl", () => {
+  it("prefers an English track", () => {
+    const tracks = [
+      { baseUrl: "de", languageCode: "de" },
+      { baseUrl: "en", languageCode: "en-GB" },
+    ];
+    assert.equal(pickTrackUrl(tracks), "en");
+  });
+
+  it("falls back to the first track", () => {
+    const tracks = [
+      { baseUrl: "de", languageCode: "de" },
+      { baseUrl: "es", languageCode: "es" },
+    ];
+    assert.equal(pickTrackUrl(tracks), "de");
+  });
+});
+
+describe("language selection", () => {
+  const tracks = [
+    { baseUrl: "en", languageCode: "en" },
+    { baseUrl: "de", languageCode: "de-DE" },
+    { baseUrl: "es", languageCode: "es" },
+  ];
+
+  it("parseLanguageList splits and trims a comma list", () => {
+    assert.deepEqual(parseLanguageList(" es, de ,en"), ["es", "de", "en"]);
+  });
+
+  it("parseLanguageList defaults to English", () => {
+    assert.deepEqual(parseLanguageList(""), ["en"]);
+    assert.deepEqual(parseLanguageList(undefined), ["en"]);
+  });
+
+  it("matchesLanguage accepts regional variants but not other languages", () => {
+    assert.ok(matchesLanguage("en-GB", "en"));
+    assert.ok(matchesLanguage("EN", "en"));
+    assert.ok(!matchesLanguage("eng", "en"));
+    assert.ok(!matchesLanguage("en", "en-GB"));
+  });
+
+  it("pickTrack follows the priority list", () => {
+    assert.equal(pickTrack(tracks, ["es", "de", "en"]).baseUrl, "es");
+    assert.equal(pickTrack(tracks, ["fr", "de", "en"]).baseUrl, "de");
+  });
+
+  it("pickTrack falls back to the first track when nothing matches", () => {
+    assert.equal(pickTrack(tracks, ["fr"]).baseUrl, "en");
+  });
+
+  it("describeCaptionTrack reports ASR vs manual and the display name", () => {
+    assert.deepEqual(describeCaptionTrack({ baseUrl: "u", languageCode: "en", kind: "asr", name: { simpleText: "English (auto-generated)" } }), {
+      languageCode: "en",
+      name: "English (auto-generated)",
+      kind: "asr",
+    });
+    assert.deepEqual(describeCaptionTrack({ baseUrl: "u", languageCode: "de", name: { runs: [{ text: "German" }] } }), {
+      languageCode: "de",
+      name: "German",
+      kind: "manual",
+    });
+  });
+});
+
+describe("track kind policy", () => {
+  const tracks = [
+    { baseUrl: "en-asr", languageCode: "en", kind: "asr" },
+    { baseUrl: "de", languageCode: "de" },
+    { baseUrl: "en", languageCode: "en" },
+  ];
+
+  it("prefer-manual picks the manual track of the chosen language", () => {
+    assert.equal(pickTrack(tracks, ["en"], "prefer-manual").baseUrl, "en");
+  });
+
+  it("prefer-asr picks the ASR track of the chosen language", () => {
+    assert.equal(pickTrack(tracks, ["en"], "prefer-asr").baseUrl, "en-asr");
+  });
+
+  it("language priority outranks kind", () => {
+    assert.equal(pickTrack(tracks, ["en", "de"], "prefer-asr").baseUrl, "en-asr");
+    assert.equal(pickTrack([tracks[0], tracks[1]], ["en", "de"], "prefer-manual").baseUrl, "en-asr");
+  });
+
+  it("manual-only never returns an ASR track", () => {
+    assert.equal(pickTrack([tracks[0], tracks[1]], ["en"], "manual-only").baseUrl, "de");
+    assert.equal(pickTrack([tracks[0]], ["en"], "manual-only"), undefined);
+  });
+
+  it("rankTracks keeps order within each kind", () => {
+    assert.deepEqual(
+      rankTracks(tracks, "prefer-manual").map((t) => t.baseUrl),
+      ["de", "en", "en-asr"],
+    );
+    assert.deepEqual(
+      rankTracks(tracks, "manual-only").map((t) => t.baseUrl),
+      ["de", "en"],
+    );
+  });
+});
+
+describe("extractCaptionTracklistFromHtml", () => {
+  const tracklist = {
+    captionTracks: [{ baseUrl: "https://example.com/t", languageCode: "en" }],
+    translationLanguages: [{ languageCode: "fr" }],
+  };
+
+  it("reads the tracklist from ytInitialPlayerResponse", () => {
+    const html = `<script>var ytInitialPlayerResponse = ${JSON.stringify({ captions: { playerCaptionsTracklistRenderer: tracklist } })};</script>`;
+    assert.deepEqual(extractCaptionTracklistFromHtml(html), tracklist);
+  });
+
+  it("falls back to a bare captions object", () => {
+    const html = `{"captions":${JSON.stringify({ playerCaptionsTracklistRenderer: tracklist })}}`;
+    assert.deepEqual(extractCaptionTracklistFromHtml(html), tracklist);
+  });
+
+  it("returns null when no tracks are present", () => {
+    assert.equal(extractCaptionTracklistFromHtml("<html></html>"), null);
+  });
+});
+
+describe("translation", () => {
+  const tracklist = {
+    captionTracks: [{ baseUrl: "https://www.youtube.com/api/timedtext?v=x&lang=en", languageCode: "en", kind: "asr" }],
+    translationLanguages: [{ languageCode: "fr" }, { languageCode: "zh-Hans" }],
+  };
+
+  it("withTranslation sets the tlang parameter", () => {
+    assert.equal(
+      withTranslation("https://www.youtube.com/api/timedtext?v=x&lang=en", "fr"),
+      "https://www.youtube.com/api/timedtext?v=x&lang=en&tlang=fr",
+    );
+  });
+
+  it("resolveTranslationLanguage matches case-insensitively and keeps YouTube's spelling", () => {
+    assert.equal(resolveTranslationLanguage(["fr", "zh-Hans"], "zh-hans"), "zh-Hans");
+  });
+
+  it("resolveTranslationLanguage names the available targets when the request is missing", () => {
+    assert.throws(() => resolveTranslationLanguage(["fr", "de"], "xx"), /Cannot translate to "xx".*fr, de/);
+    assert.throws(() => resolveTranslationLanguage([], "fr"), /offers no translations/);
+  });
+
+  it("selectCaptionTrack returns the original track without translateTo", () => {
+    assert.deepEqual(selectCaptionTrack(tracklist, {}), {
+      url: "https://www.youtube.com/api/timedtext?v=x&lang=en",
+      language: "en",
+      kind: "asr",
+    });
+  });
+
+  it("selectCaptionTrack says manual only when manual-only left no track", () => {
+    assert.throws(() => selectCaptionTrack(tracklist, { trackPolicy: "manual-only" }), {
+      code: "NO_CAPTIONS",
+      message: "No manual caption tracks",
+    });
+  });
+
+  it("selectCaptionTrack reports a video without any caption tracks", () => {
+    const empty = { ...tracklist, captionTracks: [] };
+    for (const trackPolicy of [undefined, "prefer-manual", "manual-only"]) {
+      assert.throws(() => selectCaptionTrack(empty, { trackPolicy }), {
+        code: "NO_CAPTIONS",
+        message: "Video has no caption tracks",
+      });
+    }
+  });
+
+  it("selectCaptionTrack builds a tlang URL and records the source language", () => {
+    assert.deepEqual(selectCaptionTrack(tracklist, { translateTo: "fr" }), {
+      url: "https://www.youtube.com/api/timedtext?v=x&lang=en&tlang=fr",
+      language: "fr",
+      kind: "asr",
+      translatedFrom: "en",
+    });
+  });
+
+  it("selectCaptionTrack rejects targets outside translationLanguages", () => {
+    assert.throws(() => selectCaptionTrack(tracklist, { translateTo: "ja" }), {
+      code: "TRANSLATION_UNAVAILABLE",
+      message: /Cannot translate to "ja"/,
+    });
+  });
+
+  it("selectCaptionTrack rejects untranslatable tracks", () => {
+    const locked = { ...tracklist, captionTracks: [{ ...tracklist.captionTracks[0], isTranslatable: false }] };
+    assert.throws(() => selectCaptionTrack(locked, { translateTo: "fr" }), /not translatable/);
+  });
+});
+
+describe("chapters", () => {
+  it("parseClock handles M:SS, MM:SS and H:MM:SS", () => {
+    assert.equal(parseClock("0:05"), 5);
+    assert.equal(parseClock("12:34"), 754);
+    assert.equal(parseClock("1:02:03"), 3723);
+  });
+
+  it("parseDescriptionChapters reads timestamp lines", () => {
+    const description = "My video\n\n0:00 Intro\n01:30 - Setup\n(1:02:03) Wrap up\nThanks for watching";
+    assert.deepEqual(parseDescriptionChapters(description), [
+      { title: "Intro", start: 0 },
+      { title: "Setup", start: 90 },
+      { title: "Wrap up", start: 3723 },
+    ]);
+  });
+
+  it("parseDescriptionChapters follows YouTube's chapter rules", () => {
+    assert.deepEqual(parseDescriptionChapters("0:00 A\n1:00 B"), [], "fewer than three");
+    assert.deepEqual(parseDescriptionChapters("0:10 A\n1:00 B\n2:00 C"), [], "not starting at 0:00");
+    assert.deepEqual(parseDescriptionChapters("0:00 A\n2:00 B\n1:00 C"), [], "out of order");
+  });
+
+  it("extractChaptersFromHtml reads the player bar's chapter markers", () => {
+    const chapter = (title, ms) => ({ chapterRenderer: { title: { simpleText: title }, timeRangeStartMillis: ms } });
+    const data = {
+      playerOverlays: {
+        playerOverlayRenderer: {
+          decoratedPlayerBarRenderer: {
+            decoratedPlayerBarRenderer: {
+              playerBar: {
+                multiMarkersPlayerBarRenderer: {
+                  markersMap: [{ key: "DESCRIPTION_CHAPTERS", value: { chapters: [chapter("Intro", 0), chapter("Demo", 65500)] } }],
+                },
+              },
+            },
+          },
+        },
+      },
+    };
+    const html = `<script>var ytInitialData = ${JSON.stringify(data)};</script>`;
+    assert.deepEqual(extractChaptersFromHtml(html), [
+      { title: "Intro", start: 0 },
+      { title: "Demo", start: 65.5 },
+    ]);
+  });
+
+  it("extractChaptersFromHtml returns nothing without markers", () => {
+    assert.deepEqual(extractChaptersFromHtml("<script>var ytInitialData = {};</script>"), []);
+    assert.deepEqual(extractChaptersFromHtml("<html></html>"), []);
+  });
+
+  it("closeChapters ends each chapter at the next one and the last at the transcript end", () => {
+    const segments = [
+      { text: "a", start: 0, duration: 5 },
+      { text: "b", start: 100, duration: 20 },
+    ];
+    assert.deepEqual(closeChapters([{ title: "A", start: 0 }, { title: "B", start: 60 }], segments), [
+      { title: "A", start: 0, end: 60 },
+      { title: "B", start: 60, end: 120 },
+    ]);
+  });
+});
+
+describe("parseVideoDetails", () => {
+  it("normalizes InnerTube's string numbers and renames shortDescription", () => {
+    const details = {
+      videoId: "abc",
+      title: "T",
+      author: "Channel",
+      channelId: "UC123",
+      lengthSeconds: "754",
+      viewCount: "1234567",
+      shortDescription: "Line one\nLine two",
+      keywords: ["a", "b"],
+    };
+    assert.deepEqual(parseVideoDetails(details), {
+      author: "Channel",
+      channelId: "UC123",
+      lengthSeconds: 754,
+      viewCount: 1234567,
+      description: "Line one\nLine two",
+      keywords: ["a", "b"],
+    });
+  });
+
+  it("fills gaps with empty values", () => {
+    assert.deepEqual(parseVideoDetails({ author: "Channel" }), {
+      author: "Channel",
+      channelId: "",
+      lengthSeconds: 0,
+      viewCount: 0,
+      description: "",
+      keywords: [],
+    });
+  });
+
+  it("returns undefined without videoDetails", () => {
+    assert.equal(parseVideoDetails(undefined), undefined);
+  });
+});
+
+describe("strategy registry", () => {
+  const segments = [{ text: "hi", start: 0, duration: 1 }];
+  registerStrategy({
+    name: "test-ok",
+    label: "Test OK",
+    fetch: async () => ({ segments, language: "en", kind: "manual" }),
+  });
+  registerStrategy({
+    name: "test-fail",
+    label: "Test fail",
+    fetch: () => {
+      throw new Error("nope");
+    },
+  });
+
+  it("lists the built-ins first, in default order", () => {
+    assert.deepEqual(listStrategies().slice(0, 3), DEFAULT_STRATEGIES);
+    assert.ok(listStrategies().includes("test-ok"));
+  });
+
+  it("resolves names in the given order and rejects unknown ones", () => {
+    assert.deepEqual(
+      resolveStrategies(["page", "android"]).map((s) => s.name),
+      ["page", "android"],
+    );
+    assert.throws(() => resolveStrategies(["nope"]), /Unknown strategy: nope/);
+  });
+
+  it("rejects strategies without a fetch function", () => {
+    assert.throws(() => registerStrategy({ name: "broken" }), /needs a name and a fetch function/);
+  });
+
+  it("fetchTranscript tries strategies in order and records earlier failures", async () => {
+    const result = await fetchTranscript("dQw4w9WgXcQ", { strategies: ["test-fail", "test-ok"] });
+    assert.equal(result.method, "test-ok");
+    assert.deepEqual(result.segments, segments);
+    assert.deepEqual(result.errors, [{ strategy: "Test fail", code: "UNKNOWN", message: "nope" }]);
+  });
+
+  it("fetchTranscript lists every failure when nothing works", async () => {
+    await assert.rejects(fetchTranscript("dQw4w9WgXcQ", { strategies: ["test-fail"] }), /All methods failed:\n- Test fail: nope/);
+    await assert.rejects(fetchTranscript("dQw4w9WgXcQ", { strategies: [] }), /no fetch strategies enabled/);
+  });
+});
+
+describe("runStrategies", () => {
+  const segments = [{ text: "hi", start: 0, duration: 1 }];
+  // A strategy that answers after `ms` (or fails), recording whether it was aborted
+  const fake = (name, ms, { fail = false, log = [] } = {}) => ({
+    name,
+    label: name,
+    fetch: (_videoId, { signal }) =>
+      new Promise((resolve, reject) => {
+        log.push(`start ${name}`);
+        const timer = setTimeout(() => {
+          if (fail) reject(new Error(`${name} failed`));
+          else resolve({ segments, language: "en", kind: "manual" });
+        }, ms);
+        signal.addEventListener("abort", () => {
+          clearTimeout(timer);
+          log.push(`abort ${name}`);
+          reject(new Error("aborted"));
+        });
+      }),
+  });
+
+  it("sequential mode starts the next strategy only after a failure", async () => {
+    const log = [];
+    const { strategy, attempts, errors } = await runStrategies(
+      "vid",
+      [fake("a", 20, { fail: true, log }), fake("b", 5, { log }), fake("c", 5, { log })],
+      {},
+    );
+    assert.equal(strategy.name, "b");
+    assert.deepEqual(log, ["start a", "start b"]);
+    assert.deepEqual(
+      attempts.map((a) => [a.strategy, a.status]),
+      [
+        ["a", "failed"],
+        ["b", "won"],
+      ],
+    );
+    assert.deepEqual(errors, [{ strategy: "a", code: "UNKNOWN", message: "a failed" }]);
+  });
+
+  it("hedged mode starts the next strategy after the delay and aborts the slow one", async () => {
+    const log = [];
+    const started = Date.now();
+    const { strategy, attempts, errors } = await runStrategies(
+      "vid",
+      [fake("slow", 1000, { log }), fake("fast", 10, { log })],
+      {},
+      20,
+    );
+    assert.equal(strategy.name, "fast");
+    assert.ok(Date.now() - started < 500);
+    assert.deepEqual(log, ["start slow", "start fast", "abort slow"]);
+    assert.deepEqual(
+      attempts.map((a) => [a.strategy, a.status]),
+      [
+        ["slow", "aborted"],
+        ["fast", "won"],
+      ],
+    );
+    assert.ok(attempts.every((a) => typeof a.ms === "number"));
+    assert.deepEqual(errors, []);
+  });
+
+  it("hedged mode moves on immediately when a strategy fails before the delay", async () => {
+    const log = [];
+    const { strategy } = await runStrategies("vid", [fake("a", 5, { fail: true, log }), fake("b", 5, { log })], {}, 10000);
+    assert.equal(strategy.name, "b");
+  });
+
+  it("treats an empty segment list as a failure", async () => {
+    const empty = { name: "empty", label: "Empty", fetch: async () => ({ segments: [], language: "en", kind: "manual" }) };
+    await assert.rejects(runStrategies("vid", [empty], {}), { code: "NO_CAPTIONS", message: /Empty: returned no segments/ });
+  });
+
+  it("rejects with every error once all strategies fail", async () => {
+    await assert.rejects(
+      runStrategies("vid", [fake("a", 5, { fail: true }), fake("b", 5, { fail: true })], {}, 1),
+      /All methods failed:\n- a: a failed\n- b: b failed/,
+    );
+  });
+
+  it("rejects with the most telling code among the failures", async () => {
+    const failing = (name, error) => ({ name, label: name, fetch: async () => Promise.reject(error) });
+    const limited = failing("a", new RateLimitedError("captcha"));
+    const hidden = failing("b", new VideoUnavailableError("This video is private", { code: "VIDEO_PRIVATE" }));
+    await assert.rejects(runStrategies("vid", [limited, hidden], {}), (e) => {
+      assert.ok(e instanceof AllStrategiesFailedError);
+      assert.equal(e.code, "VIDEO_PRIVATE");
+      assert.deepEqual(e.failures.map((f) => f.code), ["RATE_LIMITED", "VIDEO_PRIVATE"]);
+      return true;
+    });
+  });
+});
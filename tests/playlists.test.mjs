@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractListSource, parseRelativeDate, extractListEntries, filterListEntries } from "../lib/playlists.mjs";
+
+// ── lib/playlists.mjs ───────────────────────────────────────────────────────
+
+describe("extractListSource", () => {
+  it("recognizes playlist URLs and bare playlist IDs", () => {
+    const id = "PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf";
+    const expected = { kind: "playlist", id, url: `https://www.youtube.com/playlist?list=${id}` };
+    assert.deepEqual(extractListSource(`https://www.youtube.com/playlist?list=${id}`), expected);
+    assert.deepEqual(extractListSource(`https://youtube.com/watch?list=${id}&index=2`), expected);
+    assert.deepEqual(extractListSource(id), expected);
+  });
+
+  it("recognizes channel handles, IDs and legacy paths", () => {
+    assert.deepEqual(extractListSource("https://www.youtube.com/@veritasium/videos"), {
+      kind: "channel",
+      id: "@veritasium",
+      url: "https://www.youtube.com/@veritasium/videos",
+    });
+    assert.equal(extractListSource("@veritasium")?.url, "https://www.youtube.com/@veritasium/videos");
+    assert.equal(
+      extractListSource("youtube.com/channel/UCHnyfMqiRRG1u-2MsSQLbXA")?.url,
+      "https://www.youtube.com/channel/UCHnyfMqiRRG1u-2MsSQLbXA/videos",
+    );
+    assert.equal(
+      extractListSource("https://www.youtube.com/c/Name/featured")?.url,
+      "https://www.youtube.com/c/Name/videos",
+    );
+    assert.equal(
+      extractListSource("https://www.youtube.com/@name/streams")?.url,
+      "https://www.youtube.com/@name/streams",
+    );
+  });
+
+  it("rejects everything else", () => {
+    assert.equal(extractListSource("dQw4w9WgXcQ"), null);
+    assert.equal(extractListSource("https://example.com/playlist?list=PLabc"), null);
+    assert.equal(extractListSource('https://www.youtube.com/@x"; rm -rf /'), null);
+  });
+});
+
+describe("parseRelativeDate", () => {
+  const now = new Date("2024-03-31T12:00:00Z");
+
+  it("subtracts the relative age from now", () => {
+    assert.equal(parseRelativeDate("3 days ago", now), "2024-03-28");
+    assert.equal(parseRelativeDate("Streamed 2 weeks ago", now), "2024-03-17");
+    assert.equal(parseRelativeDate("1 year ago", now), "2023-03-31");
+  });
+
+  it("returns undefined without a relative time", () => {
+    assert.equal(parseRelativeDate("1.2M views", now), undefined);
+  });
+});
+
+describe("extractListEntries", () => {
+  const now = new Date("2024-03-31T12:00:00Z");
+
+  it("reads playlist items and the continuation token", () => {
+    const data = {
+      contents: [
+        {
+          playlistVideoRenderer: {
+            videoId: "dQw4w9WgXcQ",
+            title: { runs: [{ text: "First" }] },
+            videoInfo: { runs: [{ text: "1.2M views" }, { text: " • " }, { text: "2 days ago" }] },
+          },
+        },
+        { continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token: "NEXT" } } } },
+      ],
+    };
+    assert.deepEqual(extractListEntries(data, now), {
+      entries: [{ videoId: "dQw4w9WgXcQ", title: "First", published: "2024-03-29" }],
+      continuation: "NEXT",
+    });
+  });
+
+  it("reads channel upload items", () => {
+    const data = {
+      tabs: [
+        {
+          richItemRenderer: {
+            content: {
+              videoRenderer: {
+                videoId: "jNQXAC9IVRw",
+                title: { simpleText: "Upload" },
+                publishedTimeText: { simpleText: "1 week ago" },
+              },
+            },
+          },
+        },
+      ],
+    };
+    const { entries, continuation } = extractListEntries(data, now);
+    assert.deepEqual(entries, [{ videoId: "jNQXAC9IVRw", title: "Upload", published: "2024-03-24" }]);
+    assert.equal(continuation, null);
+  });
+});
+
+describe("filterListEntries", () => {
+  const entries = [
+    { videoId: "a", title: "", published: "2024-03-01" },
+    { videoId: "b", title: "" },
+    { videoId: "c", title: "", published: "2024-01-01" },
+    { videoId: "d", title: "", published: "2023-06-01" },
+  ];
+  const ids = (list) => list.map((e) => e.videoId);
+
+  it("keeps entries within the date range and those without a date", () => {
+    assert.deepEqual(ids(filterListEntries(entries, { after: "2024-01-01" })), ["a", "b", "c"]);
+    assert.deepEqual(ids(filterListEntries(entries, { before: "2023-12-31" })), ["b", "d"]);
+  });
+
+  it("applies the limit after the date filter", () => {
+    assert.deepEqual(ids(filterListEntries(entries, { after: "2024-01-01", limit: 2 })), ["a", "b"]);
+    assert.deepEqual(ids(filterListEntries(entries)), ["a", "b", "c", "d"]);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import net from "node:net";
+import zlib from "node:zlib";
+import { httpFetch } from "../lib/http.mjs";
+import { parseProxyUrl } from "../lib/proxy.mjs";
+
+// ── lib/proxy.mjs ───────────────────────────────────────────────────────────
+
+describe("parseProxyUrl", () => {
+  it("accepts http, https and socks5 URLs, and bare host:port as http", () => {
+    assert.equal(parseProxyUrl("socks5://127.0.0.1:1080").protocol, "socks5:");
+    assert.equal(parseProxyUrl("https://proxy.example:8443").port, "8443");
+    assert.equal(parseProxyUrl("proxy.example:3128").href, "http://proxy.example:3128/");
+  });
+
+  it("rejects other schemes and garbage", () => {
+    assert.throws(() => parseProxyUrl("ftp://proxy.example"), /Unsupported proxy URL/);
+    assert.throws(() => parseProxyUrl("http://"), /Invalid proxy URL/);
+  });
+});
+
+describe("httpFetch through a proxy", () => {
+  let target;
+  let targetPort;
+  let httpProxy;
+  let socksProxy;
+  const seen = { connect: [], auth: [], socks: [] };
+
+  const listen = (server) =>
+    new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+
+  before(async () => {
+    target = createServer((req, res) => {
+      if (req.url === "/moved") {
+        res.writeHead(302, { Location: "/echo" });
+        return res.end();
+      }
+      // Compressed whatever the request asked for, as some servers do
+      if (req.url === "/gzip" || req.url === "/br") {
+        const json = JSON.stringify({ encoding: req.url.slice(1), accept: req.headers["accept-encoding"] });
+        const body = req.url === "/gzip" ? zlib.gzipSync(json) : zlib.brotliCompressSync(json);
+        res.writeHead(200, { "Content-Type": "application/json", "Content-Encoding": req.url.slice(1) });
+        return res.end(body);
+      }
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => res.end(JSON.stringify({ method: req.method, url: req.url, body })));
+    });
+    targetPort = await listen(target);
+
+    // HTTP proxy that only tunnels (CONNECT), like the ones YouTube traffic goes through
+    httpProxy = createServer((_req, res) => res.writeHead(405).end());
+    httpProxy.on("connect", (req, client) => {
+      seen.connect.push(req.url);
+      seen.auth.push(req.headers["proxy-authorization"]);
+      if (req.url.startsWith("blocked")) return client.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      const [host, port] = req.url.split(":");
+      const upstream = net.connect(Number(port), host, () => {
+        client.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+        client.pipe(upstream).pipe(client);
+      });
+      upstream.on("error", () => client.destroy());
+    });
+    const httpProxyPort = await listen(httpProxy);
+    httpProxy.url = `http://127.0.0.1:${httpProxyPort}`;
+
+    // Minimal SOCKS5 server: no authentication, domain-name CONNECT requests only
+    socksProxy = net.createServer((client) => {
+      client.once("data", () => {
+        client.write(Buffer.from([5, 0]));
+        client.once("data", (request) => {
+          const length = request[4];
+          const host = request.subarray(5, 5 + length).toString();
+          const port = request.readUInt16BE(5 + length);
+          seen.socks.push(`${host}:${port}`);
+          const upstream = net.connect(port, host === "target.test" ? "127.0.0.1" : host, () => {
+            client.write(Buffer.from([5, 0, 0, 1, 127, 0, 0, 1, 0, 0]));
+            client.pipe(upstream).pipe(client);
+          });
+          upstream.on("error", () => client.destroy());
+        });
+      });
+    });
+    socksProxy.url = `socks5://127.0.0.1:${await listen(socksProxy)}`;
+  });
+  after(() => {
+    for (const server of [target, httpProxy, socksProxy]) {
+      if (server.closeAllConnections) server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  const fast = { retries: 0, timeoutMs: 3000 };
+
+  it("tunnels through an HTTP proxy with CONNECT", async () => {
+    const response = await httpFetch(`http://127.0.0.1:${targetPort}/echo`, {}, { ...fast, proxy: httpProxy.url });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { method: "GET", url: "/echo", body: "" });
+    assert.equal(seen.connect.at(-1), `127.0.0.1:${targetPort}`);
+  });
+
+  it("sends proxy credentials from the URL", async () => {
+    const proxy = httpProxy.url.replace("http://", "http://me:p%40ss@");
+    await (await httpFetch(`http://127.0.0.1:${targetPort}/echo`, {}, { ...fast, proxy })).text();
+    assert.equal(seen.auth.at(-1), `Basic ${Buffer.from("me:p@ss").toString("base64")}`);
+  });
+
+  it("follows redirects through the proxy", async () => {
+    const response = await httpFetch(`http://127.0.0.1:${targetPort}/moved`, {}, { ...fast, proxy: httpProxy.url });
+    assert.equal((await response.json()).url, "/echo");
+  });
+
+  it("decodes gzip and br responses like fetch does", async () => {
+    for (const encoding of ["gzip", "br"]) {
+      const url = `http://127.0.0.1:${targetPort}/${encoding}`;
+      const response = await httpFetch(url, {}, { ...fast, proxy: httpProxy.url });
+      assert.deepEqual(await response.json(), { encoding, accept: "gzip, deflate, br" });
+    }
+  });
+
+  it("posts through a SOCKS5 proxy that resolves the host name", async () => {
+    const response = await httpFetch(
+      `http://target.test:${targetPort}/post`,
+      { method: "POST", body: '{"a":1}', headers: { "Content-Type": "application/json" } },
+      { ...fast, proxy: socksProxy.url },
+    );
+    assert.deepEqual(await response.json(), { method: "POST", url: "/post", body: '{"a":1}' });
+    assert.equal(seen.socks.at(-1), `target.test:${targetPort}`);
+  });
+
+  it("fails with a network error when the proxy refuses", async () => {
+    await assert.rejects(httpFetch(`http://blocked:80/`, {}, { ...fast, proxy: httpProxy.url }), {
+      code: "NETWORK",
+      message: /Proxy refused CONNECT to blocked:80: HTTP\/1.1 403 Forbidden/,
+    });
+  });
+});
@@ -0,0 +1,251 @@
+import { describe, it, afterEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { fetchTranscript, listCaptionTracks } from "../lib/transcript.mjs";
+import { renderTranscript } from "../lib/formats.mjs";
+import { httpFetch, setHttpDefaults } from "../lib/http.mjs";
+import { AllStrategiesFailedError } from "../lib/errors.mjs";
+import {
+  loadCassette,
+  recordingFetch,
+  replayFetch,
+  restoreDefaults,
+  saveCassette,
+  useCassette,
+} from "./fixtures/replay.mjs";
+
+// Every test here replays tests/fixtures/cassettes; nothing reaches the network
+const VIDEO = "dQw4w9WgXcQ";
+
+afterEach(restoreDefaults);
+
+describe("strategies against recorded responses", () => {
+  it("ANDROID: picks the manual track and the description chapters", async () => {
+    const replay = await useCassette("android");
+    const result = await fetchTranscript(VIDEO);
+    assert.equal(result.method, "android");
+    assert.equal(result.title, "Fixture Video");
+    assert.equal(result.kind, "manual");
+    assert.equal(result.segments.length, 4);
+    assert.deepEqual(result.segments[0], { text: "Welcome to the recorded fixture", start: 0.5, duration: 3.2 });
+    assert.deepEqual(
+      result.chapters.map((c) => c.title),
+      ["Intro", "Middle", "Outro"],
+    );
+    assert.equal(result.metadata?.author, "Fixture Channel");
+    assert.deepEqual(result.errors, []);
+    const caption = replay.requests.find((r) => r.url.includes("/api/timedtext"));
+    assert.ok(caption && !caption.url.includes("kind=asr"));
+  });
+
+  it("ANDROID: honours the track policy and translation", async () => {
+    const replay = await useCassette("android");
+    const asr = await fetchTranscript(VIDEO, { strategies: ["android"], trackPolicy: "prefer-asr" });
+    assert.equal(asr.kind, "asr");
+    const translated = await fetchTranscript(VIDEO, { strategies: ["android"], translateTo: "de" });
+    assert.equal(translated.language, "de");
+    assert.equal(translated.translatedFrom, "en");
+    assert.ok(replay.requests.some((r) => r.url.includes("tlang=de")));
+  });
+
+  it("falls back to the watch page when ANDROID hits the bot check", async () => {
+    await useCassette("page-fallback");
+    const result = await fetchTranscript(VIDEO);
+    assert.equal(result.method, "page");
+    assert.deepEqual(
+      result.chapters.map((c) => c.title),
+      ["Opening", "Body", "Closing"],
+    );
+    assert.deepEqual(
+      result.attempts.map((a) => [a.strategy, a.status]),
+      [
+        ["android", "failed"],
+        ["page", "won"],
+      ],
+    );
+    assert.deepEqual(result.errors, [
+      { strategy: "ANDROID API", code: "RATE_LIMITED", message: "Sign in to confirm you’re not a bot" },
+    ]);
+  });
+
+  it("falls back to yt-dlp and fetches its srv1 subtitle URL", async () => {
+    const replay = await useCassette("ytdlp");
+    const result = await fetchTranscript(VIDEO);
+    assert.equal(result.method, "yt-dlp");
+    assert.equal(result.segments.length, 4);
+    assert.deepEqual(
+      result.chapters.map((c) => c.title),
+      ["Start", "Rest"],
+    );
+    assert.deepEqual(
+      result.errors.map((e) => e.code),
+      ["NETWORK", "NETWORK"],
+    );
+    assert.ok(replay.requests.some((r) => r.url.endsWith("lang=en&fmt=srv1")));
+  });
+
+  it("keeps the cue timings of a rolling WebVTT track", async () => {
+    await useCassette("ytdlp-vtt");
+    const result = await fetchTranscript(VIDEO, { strategies: ["yt-dlp"] });
+    assert.equal(result.kind, "asr");
+    assert.deepEqual(
+      result.segments.map((s) => [s.text, s.start]),
+      [
+        ["welcome to the recorded fixture", 0.5],
+        ["every strategy reads these lines", 3.71],
+        ["without touching the network", 6.61],
+      ],
+    );
+    assert.match(renderTranscript(result, "srt"), /^1\n00:00:00,500 --> 00:00:03,710\nwelcome/);
+  });
+
+  it("requests the caption format asked for", async () => {
+    const replay = await useCassette("json3");
+    const result = await fetchTranscript(VIDEO, { captionFormat: "json3" });
+    assert.deepEqual(
+      result.segments.map((s) => s.text),
+      ["welcome to the recorded fixture", "every strategy reads these lines"],
+    );
+    assert.ok(replay.requests.some((r) => r.url.includes("/api/timedtext") && r.url.endsWith("&fmt=json3")));
+  });
+
+  it("hedges past a slow ANDROID response and aborts it", async () => {
+    await useCassette("hedged");
+    const started = Date.now();
+    const result = await fetchTranscript(VIDEO, { strategies: ["android", "page"], hedgeDelayMs: 20 });
+    assert.equal(result.method, "page");
+    assert.deepEqual(
+      result.attempts.map((a) => [a.strategy, a.status]),
+      [
+        ["android", "aborted"],
+        ["page", "won"],
+      ],
+    );
+    assert.ok(Date.now() - started < 2000, "should not wait for the slow response");
+  });
+
+  it("stops every strategy and the title request when the caller's signal aborts", async () => {
+    const replay = await useCassette("hedged");
+    /** @type {AbortSignal[]} */
+    const titleSignals = [];
+    /** @type {typeof fetch} */
+    const fetch = (input, init) => {
+      if (String(input).includes("/oembed")) titleSignals.push(init?.signal);
+      return replay(input, init);
+    };
+    setHttpDefaults({ fetch, retries: 0 });
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(new Error("closed")), 20);
+    await assert.rejects(fetchTranscript(VIDEO, { strategies: ["android", "page"], signal: controller.signal }), {
+      message: "closed",
+    });
+    assert.ok(Date.now() - started < 2000, "should not wait for the slow response");
+    const watch = replay.requests.filter((r) => r.url.startsWith("https://www.youtube.com/watch"));
+    assert.deepEqual(watch, [], "should not fall back to page scraping");
+    assert.equal(titleSignals.length, 1);
+    assert.ok(titleSignals[0]?.aborted, "the oEmbed request should be cancelled too");
+  });
+});
+
+describe("error branches against recorded responses", () => {
+  /**
+   * @param {string} cassette
+   * @param {string} code
+   * @param {string[]} messages - One per strategy, in order
+   */
+  const rejectsWith = async (cassette, code, messages) => {
+    await useCassette(cassette);
+    await assert.rejects(fetchTranscript(VIDEO), (e) => {
+      assert.ok(e instanceof AllStrategiesFailedError);
+      assert.equal(e.code, code);
+      assert.deepEqual(
+        e.failures.map((f) => f.strategy),
+        ["ANDROID API", "Page scraping", "yt-dlp"],
+      );
+      messages.forEach((m, i) => assert.match(e.failures[i].message, new RegExp(m)));
+      return true;
+    });
+  };
+
+  it("reports a captcha as rate limiting", async () => {
+    await rejectsWith("captcha", "RATE_LIMITED", ["not a bot", "Rate limited \\(captcha\\)", "not a bot"]);
+  });
+
+  it("reports a removed video as unavailable", async () => {
+    await rejectsWith("unavailable", "VIDEO_UNAVAILABLE", ["unavailable", "unavailable", "has been removed"]);
+  });
+
+  it("reports a video without captions", async () => {
+    await rejectsWith("no-captions", "NO_CAPTIONS", [
+      "no captions in response",
+      "Video has no captions",
+      "no subtitle sources found",
+    ]);
+  });
+
+  it("reports an empty caption track", async () => {
+    const empty = "Caption track returned empty response";
+    await rejectsWith("empty-track", "NO_CAPTIONS", [empty, empty, empty]);
+  });
+});
+
+describe("listCaptionTracks against recorded responses", () => {
+  it("lists the ANDROID tracks", async () => {
+    await useCassette("android");
+    const tracks = await listCaptionTracks(VIDEO);
+    assert.deepEqual(
+      tracks.map((t) => [t.languageCode, t.kind]),
+      [
+        ["en", "manual"],
+        ["en", "asr"],
+      ],
+    );
+  });
+
+  it("explains an unavailable video", async () => {
+    await useCassette("unavailable");
+    await assert.rejects(listCaptionTracks(VIDEO), { code: "VIDEO_UNAVAILABLE", message: /No caption tracks found/ });
+  });
+});
+
+describe("replay harness", () => {
+  const dir = mkdtempSync(join(tmpdir(), "fastytranscript-fixtures-"));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("fails requests the cassette doesn't cover", async () => {
+    await useCassette("android");
+    await assert.rejects(httpFetch("https://www.youtube.com/unknown"), {
+      code: "NETWORK",
+      message: "Request failed: No fixture for GET https://www.youtube.com/unknown",
+    });
+  });
+
+  it("answers matching requests in order and repeats the last answer", async () => {
+    const url = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+    const replay = replayFetch({
+      interactions: [
+        { url, status: 503 },
+        { url, body: "watch.html" },
+      ],
+    });
+    setHttpDefaults({ fetch: replay, backoffMs: 0 });
+    assert.equal((await httpFetch(url)).status, 200);
+    assert.equal((await httpFetch(url)).status, 200);
+    assert.equal(replay.requests.length, 3);
+  });
+
+  it("records a cassette that replays to the same transcript", async () => {
+    const recorder = recordingFetch(replayFetch(await loadCassette("android")));
+    setHttpDefaults({ fetch: recorder });
+    const live = await fetchTranscript(VIDEO, { strategies: ["android"] });
+    await saveCassette("recorded", recorder.recorded, {}, dir);
+
+    await useCassette("recorded", dir);
+    const replayed = await fetchTranscript(VIDEO, { strategies: ["android"] });
+    assert.deepEqual(replayed.segments, live.segments);
+    assert.equal(replayed.title, live.title);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { DEFAULT_NOTE_TEMPLATE, fillTemplate, formatNote, noteFields, noteFilename, saveNote } from "../lib/vault.mjs";
+
+// ── lib/vault.mjs ───────────────────────────────────────────────────────────
+
+const result = {
+  videoId: "dQw4w9WgXcQ",
+  title: "Rust: Tips & Tricks",
+  method: "android",
+  language: "en",
+  kind: "manual",
+  segments: [
+    { text: "hello &amp; welcome", start: 0, duration: 1 },
+    { text: "second part", start: 65, duration: 1 },
+  ],
+  chapters: [
+    { title: "Intro", start: 0 },
+    { title: "Main", start: 60 },
+  ],
+  metadata: {
+    author: "Ferris Talks",
+    channelId: "UC1",
+    lengthSeconds: 90,
+    viewCount: 5,
+    description: "",
+    keywords: [],
+  },
+  errors: [],
+};
+const now = new Date(2026, 2, 10, 23, 30);
+
+let dir;
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "fastytranscript-vault-"));
+});
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("templates", () => {
+  it("fills known placeholders once and keeps unknown ones", () => {
+    assert.equal(
+      fillTemplate("{title} by {channel} {unknown}", { title: "{channel}", channel: "Chef" }),
+      "{channel} by Chef {unknown}",
+    );
+  });
+
+  it("derives fields from the result, with the local date and Markdown chapters", () => {
+    const fields = noteFields(result, { now });
+    assert.equal(fields.channel, "Ferris Talks");
+    assert.equal(fields.date, "2026-03-10");
+    assert.equal(fields.url, "https://youtube.com/watch?v=dQw4w9WgXcQ");
+    assert.equal(fields.transcript, "## Intro (00:00)\n\nhello & welcome\n\n## Main (01:00)\n\nsecond part");
+    assert.equal(
+      noteFields(result, { now, chapters: false, timestamps: true }).transcript.split("\n")[1],
+      "[01:05] second part",
+    );
+  });
+
+  it("builds filenames from sanitized values", () => {
+    const fields = noteFields(result, { now });
+    assert.equal(noteFilename("{date} {title}", fields), "2026-03-10 Rust_Tips_Tricks.md");
+    assert.equal(noteFilename("{channel}/{videoId}", fields), "Ferris_TalksdQw4w9WgXcQ.md");
+    assert.equal(noteFilename("{title}", { ...fields, title: "日本語" }), "dQw4w9WgXcQ.md");
+  });
+
+  it("starts notes with front matter unless turned off", () => {
+    const note = formatNote(result, { now });
+    assert.match(note, /^---\ntitle: "Rust: Tips & Tricks"\n.*\ndate: 2026-03-10\nchannel: "Ferris Talks"\n/s);
+    assert.match(note, /---\n\n# Rust: Tips & Tricks\n\n\*\*URL:\*\* https:\/\/youtube\.com\/watch\?v=dQw4w9WgXcQ\n/);
+    const plain = formatNote(result, { now, frontMatter: false, template: "{channel} — {title}\n\n{transcript}" });
+    assert.equal(plain.split("\n")[0], "Ferris Talks — Rust: Tips & Tricks");
+    assert.ok(DEFAULT_NOTE_TEMPLATE.includes("{transcript}"));
+  });
+});
+
+describe("saveNote", () => {
+  it("suffixes, overwrites or skips an existing note", async () => {
+    const first = await saveNote(dir, result, { now });
+    assert.deepEqual(first, { file: join(dir, "Rust_Tips_Tricks.md"), status: "created" });
+    const second = await saveNote(dir, result, { now });
+    assert.deepEqual(second, { file: join(dir, "Rust_Tips_Tricks-2.md"), status: "created" });
+
+    await writeFile(first.file, "edited");
+    assert.deepEqual(await saveNote(dir, result, { now, collision: "skip" }), { ...first, status: "skipped" });
+    assert.equal(await readFile(first.file, "utf-8"), "edited");
+    assert.deepEqual(await saveNote(dir, result, { now, collision: "overwrite" }), { ...first, status: "overwritten" });
+    assert.match(await readFile(first.file, "utf-8"), /^---\n/);
+    assert.equal((await readdir(dir)).length, 2);
+  });
+
+  it("files notes under a folder per channel", async () => {
+    const { file } = await saveNote(dir, result, { now, byChannel: true, filenameTemplate: "{videoId}" });
+    assert.equal(file, join(dir, "Ferris_Talks", "dQw4w9WgXcQ.md"));
+    const { file: orphan } = await saveNote(dir, { ...result, metadata: null }, { now, byChannel: true });
+    assert.equal(orphan, join(dir, "Unknown_Channel", "Rust_Tips_Tricks.md"));
+  });
+});
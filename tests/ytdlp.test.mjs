@@ -0,0 +1,82 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { classifyYtDlpError, runYtDlp, splitArgs } from "../lib/ytdlp.mjs";
+
+// Node stands in for yt-dlp: the extra args carry the script, the command's args land in process.argv
+const fake = (script, options = {}) => ({ path: process.execPath, extraArgs: ["-e", script, "--"], ...options });
+
+describe("splitArgs", () => {
+  it("splits on whitespace and keeps quoted words together", () => {
+    assert.deepEqual(splitArgs(`--cookies-from-browser firefox --user-agent "My Agent" -o '%(id)s.%(ext)s'`), [
+      "--cookies-from-browser",
+      "firefox",
+      "--user-agent",
+      "My Agent",
+      "-o",
+      "%(id)s.%(ext)s",
+    ]);
+    assert.deepEqual(splitArgs(`"say \\"hi\\""`), ['say "hi"']);
+    assert.deepEqual(splitArgs("  "), []);
+  });
+});
+
+describe("classifyYtDlpError", () => {
+  it("maps yt-dlp's error lines to error codes", () => {
+    assert.equal(
+      classifyYtDlpError("[youtube] abc: Private video. Sign in if you've been granted access").code,
+      "VIDEO_PRIVATE",
+    );
+    assert.equal(classifyYtDlpError("[youtube] abc: Sign in to confirm your age").code, "AGE_RESTRICTED");
+    assert.equal(classifyYtDlpError("[youtube] abc: Sign in to confirm you’re not a bot").code, "RATE_LIMITED");
+    assert.equal(classifyYtDlpError("[youtube] abc: Video unavailable").code, "VIDEO_UNAVAILABLE");
+    assert.equal(classifyYtDlpError("Unable to download API page: timed out").code, "NETWORK");
+    assert.equal(classifyYtDlpError("something else").code, "UNKNOWN");
+  });
+});
+
+describe("runYtDlp", () => {
+  it("resolves with stdout and passes the configured extra arguments first", async () => {
+    const out = await runYtDlp(["--dump-json"], fake("console.log(JSON.stringify(process.argv.slice(1)))"));
+    assert.deepEqual(JSON.parse(out), ["--dump-json"]);
+  });
+
+  it("streams stderr line by line", async () => {
+    const lines = [];
+    await runYtDlp(
+      [],
+      fake(`process.stderr.write("[youtube] one\\n[youtube] tw"); process.stderr.write("o\\n\\n")`, {
+        onStderr: (line) => lines.push(line),
+      }),
+    );
+    assert.deepEqual(lines, ["[youtube] one", "[youtube] two"]);
+  });
+
+  it("rejects with the last ERROR line, classified", async () => {
+    const script = `console.error("WARNING: slow"); console.error("ERROR: [youtube] abc: Private video"); process.exit(1)`;
+    await assert.rejects(runYtDlp([], fake(script)), {
+      code: "VIDEO_PRIVATE",
+      message: "[youtube] abc: Private video",
+    });
+    await assert.rejects(runYtDlp([], fake("process.exit(3)")), /yt-dlp exited with code 3/);
+  });
+
+  it("explains a missing executable", async () => {
+    await assert.rejects(runYtDlp([], { path: "/nonexistent/yt-dlp" }), /yt-dlp not found \(\/nonexistent\/yt-dlp\)/);
+  });
+
+  it("kills yt-dlp when the signal aborts", async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    const pending = runYtDlp([], { ...fake("setTimeout(() => {}, 10000)"), signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(pending, { name: "AbortError" });
+    assert.ok(Date.now() - started < 5000);
+  });
+
+  it("times out as a network error", async () => {
+    await assert.rejects(runYtDlp([], fake("setTimeout(() => {}, 10000)", { timeoutMs: 100 })), {
+      code: "NETWORK",
+      message: "yt-dlp timed out after 100ms",
+    });
+  });
+});